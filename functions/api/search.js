@@ -0,0 +1,70 @@
+/**
+ * Cloudflare Pages Function for Fallback Search
+ * Search normally goes through the signed /api proxy; when song search fails the
+ * client retries here, forwarded to EXTERNAL_SEARCH_URL if one is configured
+ */
+
+export async function onRequest(context) {
+    const { request, env } = context;
+
+    // Handle options
+    if (request.method === "OPTIONS") {
+        return new Response(null, {
+            headers: {
+                "Access-Control-Allow-Origin": "*",
+                "Access-Control-Allow-Methods": "GET, OPTIONS",
+                "Access-Control-Allow-Headers": "Content-Type",
+            },
+        });
+    }
+
+    if (request.method !== "GET") {
+        return new Response("Method not allowed", { status: 405 });
+    }
+
+    if (!env.EXTERNAL_SEARCH_URL) {
+        return new Response(JSON.stringify({ error: "EXTERNAL_SEARCH_URL not configured" }), {
+            status: 404,
+            headers: {
+                "Content-Type": "application/json",
+                "Access-Control-Allow-Origin": "*",
+            },
+        });
+    }
+
+    try {
+        const url = new URL(request.url);
+        const baseUrl = env.EXTERNAL_SEARCH_URL.endsWith('/')
+            ? env.EXTERNAL_SEARCH_URL.slice(0, -1)
+            : env.EXTERNAL_SEARCH_URL;
+
+        // Only pass through the parameters the search service understands
+        const params = new URLSearchParams();
+        for (const key of ["keyword", "type", "num", "page"]) {
+            const value = url.searchParams.get(key);
+            if (value !== null) params.set(key, value);
+        }
+
+        const response = await fetch(`${baseUrl}/api/search?${params}`);
+        const responseBody = await response.text();
+
+        return new Response(responseBody, {
+            status: response.status,
+            headers: {
+                "Content-Type": "application/json",
+                "Access-Control-Allow-Origin": "*",
+                "Access-Control-Allow-Methods": "GET, OPTIONS",
+                "Access-Control-Allow-Headers": "Content-Type",
+            },
+        });
+
+    } catch (err) {
+        return new Response(JSON.stringify({ error: err.message }), {
+            status: 500,
+            headers: {
+                "Content-Type": "application/json",
+                "Access-Control-Allow-Origin": "*",
+            },
+        });
+    }
+}
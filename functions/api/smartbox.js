@@ -0,0 +1,69 @@
+/**
+ * Cloudflare Pages Function for Search Suggestions
+ * Forwards smartbox (autocomplete) lookups, which need the y.qq.com Referer
+ */
+
+export async function onRequest(context) {
+    const { request } = context;
+
+    // Handle options
+    if (request.method === "OPTIONS") {
+        return new Response(null, {
+            headers: {
+                "Access-Control-Allow-Origin": "*",
+                "Access-Control-Allow-Methods": "GET, OPTIONS",
+                "Access-Control-Allow-Headers": "Content-Type",
+            },
+        });
+    }
+
+    if (request.method !== "GET") {
+        return new Response("Method not allowed", { status: 405 });
+    }
+
+    try {
+        const url = new URL(request.url);
+        const key = url.searchParams.get("key") || "";
+        if (!key.trim()) {
+            return new Response(JSON.stringify({ code: 0, data: {} }), {
+                headers: {
+                    "Content-Type": "application/json",
+                    "Access-Control-Allow-Origin": "*",
+                },
+            });
+        }
+
+        const targetUrl = "https://c.y.qq.com/splcloud/fcgi-bin/smartbox_new.fcg"
+            + `?key=${encodeURIComponent(key)}&format=json&inCharset=utf-8&outCharset=utf-8`;
+
+        const response = await fetch(targetUrl, {
+            headers: {
+                "Referer": "https://y.qq.com/",
+                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+            }
+        });
+
+        const responseBody = await response.text();
+
+        return new Response(responseBody, {
+            status: response.status,
+            headers: {
+                "Content-Type": "application/json",
+                "Access-Control-Allow-Origin": "*",
+                "Access-Control-Allow-Methods": "GET, OPTIONS",
+                "Access-Control-Allow-Headers": "Content-Type",
+                // Suggestions barely change; let the edge absorb repeated keystrokes
+                "Cache-Control": "public, max-age=300",
+            },
+        });
+
+    } catch (err) {
+        return new Response(JSON.stringify({ error: err.message }), {
+            status: 500,
+            headers: {
+                "Content-Type": "application/json",
+                "Access-Control-Allow-Origin": "*",
+            },
+        });
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * QQ Music Album API
+ */
+
+import { apiRequest } from './request.js';
+
+/**
+ * Get the songs of an album
+ * @param {string} albumMid - Album mid
+ * @param {number} num - Number of songs (default 100)
+ * @returns {Promise<Object>} - { songs, total }
+ */
+export async function getAlbumSongs(albumMid, num = 100) {
+    const data = await apiRequest(
+        'music.musichallAlbum.AlbumSongList',
+        'GetAlbumSongList',
+        {
+            albumMid,
+            begin: 0,
+            num,
+            order: 2
+        }
+    );
+
+    const songs = (data.songList || []).map(item => item.songInfo).filter(Boolean);
+    return { songs, total: data.totalNum || songs.length };
+}
+
+export default { getAlbumSongs };
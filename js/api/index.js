@@ -5,7 +5,9 @@
 export { sign } from './sign.js';
 export { Credential, getCredential, updateCredential } from './credential.js';
 export { apiRequest, getGuid, getSearchId } from './request.js';
-export { searchByType, quickSearch, getHotKeys } from './search.js';
-export { getSongUrls, getSongUrlWithFallback, getSongDetail, SongFileType } from './song.js';
+export { searchByType, quickSearch, getHotKeys, SearchType } from './search.js';
+export { getSongUrls, getSongUrlWithFallback, getSongDetail, getSongFileSizes, SongFileType, QUALITY_LADDER } from './song.js';
 export { getLyric } from './lyric.js';
+export { getAlbumSongs } from './album.js';
+export { getSingerSongs } from './singer.js';
 export { checkExpired, refreshCredential, getUserInfo } from './login.js';
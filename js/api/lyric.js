@@ -7,10 +7,27 @@ import { apiRequest } from './request.js';
 
 // ... (retain decryptLyric function if needed, but we rely on qrc_decrypt)
 
+/**
+ * QRC lyrics come wrapped in XML; the timed text is the LyricContent attribute
+ * @param {string} text - Decrypted lyric
+ * @returns {string} - [lineStart,lineDuration]word(start,duration)... lines, or the input unchanged
+ */
+export function extractQrcContent(text) {
+    const match = text.match(/LyricContent="([\s\S]*?)"\s*\/>/);
+    if (!match) return text;
+
+    return match[1]
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
 /**
  * Get song lyrics
  * @param {string|number} value - Song mid or id
- * @param {Object} options - Options { trans: boolean, roma: boolean }
+ * @param {Object} options - Options { qrc: boolean (word-timed lyric), trans: boolean, roma: boolean }
  * @returns {Promise<Object>} - { lyric, trans, roma }
  */
 export async function getLyric(value, options = {}) {
@@ -67,6 +84,11 @@ export async function getLyric(value, options = {}) {
         console.error('Frontend decryption failed:', e);
     }
 
+    if (qrc) {
+        lyricText = extractQrcContent(lyricText);
+        romaText = extractQrcContent(romaText);
+    }
+
     return {
         lyric: lyricText,
         trans: transText,
@@ -74,4 +96,4 @@ export async function getLyric(value, options = {}) {
     };
 }
 
-export default { getLyric };
+export default { getLyric, extractQrcContent };
@@ -1,56 +1,189 @@
 /**
  * QQ Music Search API
- * 使用 api.ygking.top
+ * 使用 music.search.SearchCgiService，经 /api 签名代理；失败时回退到 /api/search (EXTERNAL_SEARCH_URL)
  */
 
+import { apiRequest, getSearchId } from './request.js';
+
+const SMARTBOX_ENDPOINT = '/api/smartbox'; // Cloudflare Pages Functions
+const FALLBACK_SEARCH_ENDPOINT = '/api/search'; // Forwards to EXTERNAL_SEARCH_URL when configured
+
+/**
+ * Result types, keyed by the name the app uses.
+ * id / body: search_type and result field of SearchCgiService
+ * remote: type name of the external search service, which is only used for songs
+ */
+export const SearchType = {
+    song: { id: 0, body: 'item_song', remote: 'song', label: '单曲' },
+    singer: { id: 1, body: 'singer', label: '歌手' },
+    album: { id: 2, body: 'item_album', label: '专辑' },
+    playlist: { id: 3, body: 'item_songlist', label: '歌单' },
+    mv: { id: 4, body: 'item_mv', label: 'MV' }
+};
+
+// Singer (T001) and album (T002) pictures are addressed by mid
+function photoUrl(kind, mid) {
+    return mid ? `https://y.gtimg.cn/music/photo_new/${kind}R300x300M000${mid}.jpg` : '';
+}
+
+/**
+ * SearchCgiService non-song items -> one shape per type.
+ * Numbers the service leaves out stay undefined and are not shown.
+ */
+function normalizeResult(type, item) {
+    switch (type) {
+        case 'singer':
+            return {
+                mid: item.singerMID,
+                name: item.singerName,
+                cover: item.singerPic || photoUrl('T001', item.singerMID),
+                songCount: item.songNum,
+                albumCount: item.albumNum
+            };
+        case 'album':
+            return {
+                mid: item.albumMID,
+                name: item.albumName,
+                cover: item.albumPic || photoUrl('T002', item.albumMID),
+                singer: item.singerName,
+                publishDate: item.publicTime
+            };
+        case 'playlist':
+            return {
+                id: item.dissid,
+                name: item.dissname,
+                cover: item.imgurl,
+                creator: item.creator?.name,
+                songCount: item.song_count,
+                playCount: item.listennum
+            };
+        case 'mv':
+            return {
+                vid: item.v_id,
+                name: item.mv_name,
+                cover: item.mv_pic_url,
+                singer: item.singer_name,
+                playCount: item.play_count
+            };
+        default:
+            return item;
+    }
+}
+
+/**
+ * Search through the native search service
+ * @returns {Promise<Array>} - Raw result items
+ */
+async function nativeSearch(keyword, searchType, num, page) {
+    const data = await apiRequest(
+        'music.search.SearchCgiService',
+        'DoSearchForQQMusicMobile',
+        {
+            searchid: getSearchId(),
+            query: keyword,
+            search_type: searchType.id,
+            num_per_page: num,
+            page_num: page,
+            highlight: false,
+            grp: 1
+        }
+    );
+
+    return data.body?.[searchType.body] || [];
+}
+
+/**
+ * Search through the external service behind /api/search
+ * @returns {Promise<Array>} - Raw result items
+ */
+async function fallbackSearch(keyword, searchType, num, page) {
+    const params = new URLSearchParams({ keyword, type: searchType.remote, num, page });
+    const response = await fetch(`${FALLBACK_SEARCH_ENDPOINT}?${params}`);
+    if (!response.ok) {
+        throw new Error(`Fallback search unavailable: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.code === 0 && data.data?.list) {
+        return data.data.list;
+    }
+
+    console.warn('No results found in response:', data);
+    return [];
+}
+
 /**
- * Search songs by keyword
+ * Search by keyword
  * @param {string} keyword - Search keyword
+ * @param {string} type - Key of SearchType (default 'song')
  * @param {number} num - Number of results (default 60)
  * @param {number} page - Page number (default 1)
- * @returns {Promise<Array>} - Array of song results
+ * @returns {Promise<Array>} - Raw song objects for 'song', normalized results for other types
  */
-export async function searchByType(keyword, num = 60, page = 1) {
-    const url = `https://api.ygking.top/api/search?keyword=${encodeURIComponent(keyword)}&type=song&num=${num}&page=${page}`;
+export async function searchByType(keyword, type = 'song', num = 60, page = 1) {
+    const searchType = SearchType[type];
+    if (!searchType) {
+        throw new Error(`Unknown search type: ${type}`);
+    }
 
+    let list;
     try {
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data.code === 0 && data.data?.list) {
-            return data.data.list;
-        }
-
-        console.warn('No songs found in response:', data);
-        return [];
+        list = await nativeSearch(keyword, searchType, num, page);
     } catch (error) {
-        console.error('Search failed:', error);
-        throw error;
+        // The external service only stands in for song search, whose items it returns as-is
+        if (!searchType.remote) throw error;
+        console.warn('Native search failed, trying fallback:', error);
+        try {
+            list = await fallbackSearch(keyword, searchType, num, page);
+        } catch (fallbackError) {
+            console.error('Search failed:', fallbackError);
+            throw error;
+        }
     }
+
+    return type === 'song' ? list : list.map(item => normalizeResult(type, item));
 }
 
 /**
  * Quick search (autocomplete)
+ * Goes through the /api/smartbox Function, since the smartbox endpoint needs a y.qq.com Referer
  * @param {string} keyword - Search keyword
- * @returns {Promise<Object>} - Search suggestions
+ * @param {Object} options - { signal } to abort a superseded lookup
+ * @returns {Promise<Object>} - Search suggestions ({ song, singer, album, mv } each with itemlist)
  */
-export async function quickSearch(keyword) {
+export async function quickSearch(keyword, options = {}) {
     try {
-        const response = await fetch(
-            `https://c.y.qq.com/splcloud/fcgi-bin/smartbox_new.fcg?key=${encodeURIComponent(keyword)}`,
-            {
-                headers: {
-                    'Referer': 'https://y.qq.com/'
-                }
-            }
-        );
+        const response = await fetch(`${SMARTBOX_ENDPOINT}?key=${encodeURIComponent(keyword)}`, {
+            signal: options.signal
+        });
         const data = await response.json();
         return data.data || {};
     } catch (error) {
+        if (error.name === 'AbortError') throw error;
         console.error('Quick search failed:', error);
         return {};
     }
 }
 
-export default { searchByType, quickSearch };
+/**
+ * Trending search keywords
+ * @returns {Promise<Array>} - [{ title, query, description }] in rank order
+ */
+export async function getHotKeys() {
+    const data = await apiRequest(
+        'music.musicsearch.HotkeyService',
+        'GetHotkeyForQQMusicMobile',
+        { searchid: getSearchId() }
+    );
+
+    return (data.vec_hotkey || [])
+        .map(item => ({
+            title: item.title || item.query || '',
+            query: item.query || item.title || '',
+            description: item.description || ''
+        }))
+        .filter(item => item.query);
+}
+
+export default { searchByType, quickSearch, getHotKeys, SearchType };
 
@@ -0,0 +1,30 @@
+/**
+ * QQ Music Singer API
+ */
+
+import { apiRequest } from './request.js';
+
+/**
+ * Get a singer's songs, most popular first
+ * @param {string} singerMid - Singer mid
+ * @param {number} num - Number of songs (default 100)
+ * @param {number} begin - Offset
+ * @returns {Promise<Object>} - { songs, total }
+ */
+export async function getSingerSongs(singerMid, num = 100, begin = 0) {
+    const data = await apiRequest(
+        'musichall.song_list_server',
+        'GetSingerSongList',
+        {
+            singerMid,
+            order: 1,
+            number: num,
+            begin
+        }
+    );
+
+    const songs = (data.songList || []).map(item => item.songInfo).filter(Boolean);
+    return { songs, total: data.totalNum || songs.length };
+}
+
+export default { getSingerSongs };
@@ -9,14 +9,24 @@ import { getCredential } from './credential.js';
  * Song file types
  */
 export const SongFileType = {
-    FLAC: { code: 'F000', ext: '.flac', name: 'FLAC' },
-    MP3_320: { code: 'M800', ext: '.mp3', name: '320kbps' },
-    MP3_128: { code: 'M500', ext: '.mp3', name: '128kbps' },
-    OGG_192: { code: 'O600', ext: '.ogg', name: 'OGG 192' },
-    ACC_192: { code: 'C600', ext: '.m4a', name: 'AAC 192' },
-    ACC_96: { code: 'C400', ext: '.m4a', name: 'AAC 96' }
+    FLAC: { code: 'F000', ext: '.flac', name: 'FLAC', sizeField: 'size_flac' },
+    MP3_320: { code: 'M800', ext: '.mp3', name: '320kbps', sizeField: 'size_320mp3' },
+    MP3_128: { code: 'M500', ext: '.mp3', name: '128kbps', sizeField: 'size_128mp3' },
+    OGG_192: { code: 'O600', ext: '.ogg', name: 'OGG 192', sizeField: 'size_192ogg' },
+    ACC_192: { code: 'C600', ext: '.m4a', name: 'AAC 192', sizeField: 'size_192aac' },
+    ACC_96: { code: 'C400', ext: '.m4a', name: 'AAC 96', sizeField: 'size_96aac' }
 };
 
+/**
+ * SongFileType keys from highest to lowest quality
+ */
+export const QUALITY_LADDER = ['FLAC', 'MP3_320', 'OGG_192', 'ACC_192', 'MP3_128', 'ACC_96'];
+
+/**
+ * Fallback rungs tried when the song's files are unknown; nearly every song has these
+ */
+const COMMON_QUALITIES = ['MP3_320', 'MP3_128'];
+
 /**
  * Get song play URLs
  * @param {Array<string>} mids - Array of song mids
@@ -63,28 +73,38 @@ export async function getSongUrls(mids, fileType = SongFileType.MP3_128, credent
 }
 
 /**
- * Get song URL with quality fallback
+ * Get song URL with quality fallback.
+ * Never goes above the preferred quality: a user who picked a low one is saving data.
+ * Below it, tries the qualities the song has, or just the common MP3 ones when unknown.
  * @param {string} mid - Song mid
- * @param {boolean} preferFlac - Prefer FLAC quality
- * @returns {Promise<Object>} - { url, quality }
+ * @param {string|boolean} preferred - SongFileType key (true/false = FLAC/320kbps, for older callers)
+ * @param {Array<string>} available - Optional keys known to exist for this song, others are skipped
+ * @returns {Promise<Object>} - { url, quality, type }
  */
-export async function getSongUrlWithFallback(mid, preferFlac = false) {
-    const qualityOrder = preferFlac
-        ? [SongFileType.FLAC, SongFileType.MP3_320, SongFileType.MP3_128]
-        : [SongFileType.MP3_320, SongFileType.MP3_128];
+export async function getSongUrlWithFallback(mid, preferred = 'MP3_320', available = null) {
+    if (typeof preferred === 'boolean') {
+        preferred = preferred ? 'FLAC' : 'MP3_320';
+    }
+
+    const start = Math.max(0, QUALITY_LADDER.indexOf(preferred));
+    const [first, ...below] = QUALITY_LADDER.slice(start);
+    const order = available && available.length > 0
+        ? [first, ...below].filter(key => available.includes(key))
+        : [first, ...below.filter(key => COMMON_QUALITIES.includes(key))];
 
-    for (const fileType of qualityOrder) {
+    for (const key of order) {
+        const fileType = SongFileType[key];
         try {
             const urls = await getSongUrls([mid], fileType);
             if (urls[mid]) {
-                return { url: urls[mid], quality: fileType.name };
+                return { url: urls[mid], quality: fileType.name, type: key };
             }
         } catch (e) {
             console.warn(`Failed to get ${fileType.name} URL:`, e);
         }
     }
 
-    return { url: '', quality: '' };
+    return { url: '', quality: '', type: '' };
 }
 
 /**
@@ -104,4 +124,23 @@ export async function getSongDetail(value) {
     );
 }
 
-export default { getSongUrls, getSongUrlWithFallback, getSongDetail, SongFileType };
+/**
+ * File sizes per quality, read from the song detail
+ * @param {string} mid - Song mid
+ * @returns {Promise<Object>} - Map of SongFileType key to size in bytes (only qualities that exist)
+ */
+export async function getSongFileSizes(mid) {
+    const detail = await getSongDetail(mid);
+    const file = detail?.track_info?.file || {};
+
+    const sizes = {};
+    for (const key of QUALITY_LADDER) {
+        const size = Number(file[SongFileType[key].sizeField]) || 0;
+        if (size > 0) {
+            sizes[key] = size;
+        }
+    }
+    return sizes;
+}
+
+export default { getSongUrls, getSongUrlWithFallback, getSongDetail, getSongFileSizes, SongFileType, QUALITY_LADDER };
@@ -3,8 +3,14 @@
  * Sidebar Layout Version
  */
 
-import { searchByType } from './api/search.js';
-import { getSongUrlWithFallback } from './api/song.js';
+import { searchByType, quickSearch, getHotKeys, SearchType } from './api/search.js';
+import { getAlbumSongs } from './api/album.js';
+import { getSingerSongs } from './api/singer.js';
+import {
+    matchesFilters, sortSongs, isDefaultFilters,
+    DURATION_RANGES, QUALITY_FILTERS, SEARCH_SORTS, DEFAULT_SEARCH_FILTERS
+} from './utils/search-filter.js';
+import { getSongUrlWithFallback, getSongFileSizes, getSongDetail, SongFileType, QUALITY_LADDER } from './api/song.js';
 import { getCredential } from './api/credential.js';
 import { checkExpired, refreshCredential } from './api/login.js';
 import { getLyric } from './api/lyric.js';
@@ -12,6 +18,20 @@ import { getSongListDetail, getUserSongLists } from './api/songlist.js';
 import { getValidCoverUrl, getCoverUrlSync, getCoverCandidates, DEFAULT_COVER } from './utils/cover.js';
 import { Waveform } from './utils/waveform.js';
 import { extractDominantColor } from './utils/color.js';
+import { AudioEngine } from './utils/audio-engine.js';
+import { Equalizer, EQ_BANDS, EQ_RANGE } from './utils/equalizer.js';
+import { Karaoke, KEY_RANGE } from './utils/karaoke.js';
+import { LoudnessNormalizer, LiveLoudnessMeter, measureLoudness } from './utils/loudness.js';
+import { ShuffleOrder } from './utils/shuffle.js';
+import { SleepTimer, SLEEP_PRESETS } from './utils/sleep-timer.js';
+import { TabCoordinator } from './utils/tab-sync.js';
+import { LyricCache } from './utils/lyric-cache.js';
+import { parseLyricFile, LYRIC_FILE_ACCEPT } from './utils/lyric-import.js';
+import { serializeLyrics, lyricFileName, downloadText, downloadBlob, LYRIC_EXPORT_FORMATS } from './utils/lyric-export.js';
+import { LyricEditor } from './utils/lyric-editor.js';
+import { DesktopLyrics } from './utils/desktop-lyrics.js';
+import { renderLyricCard, canvasToBlob } from './utils/lyric-card.js';
+import { SearchSuggest } from './utils/search-suggest.js';
 
 // Utility functions
 function formatTime(seconds) {
@@ -29,6 +49,70 @@ function debounce(func, wait) {
     };
 }
 
+// Album identity differs between search results (album_mid) and imported playlists ({ name, mid })
+function getAlbumKey(song) {
+    if (!song) return '';
+    return song.album_mid || song.album?.mid || song.album?.name || (typeof song.album === 'string' ? song.album : '');
+}
+
+// Start resolving/buffering the next track this many seconds before the current one ends
+const PRELOAD_AHEAD_SECONDS = 30;
+const CROSSFADE_OPTIONS = [0, 2, 4, 6, 8, 12];
+// Live loudness readings shorter than this are too noisy to cache
+const MIN_LIVE_LOUDNESS_SECONDS = 20;
+// Throttle for writing the playback position while playing (ms)
+const SESSION_SAVE_INTERVAL = 5000;
+// Stream URLs carry a time-limited vkey; cached ones are re-resolved after this (ms)
+const URL_CACHE_TTL = 10 * 60 * 1000;
+// Backoff between attempts to recover a stream that errored or stalled (ms)
+const STREAM_RETRY_DELAYS = [0, 1000, 3000, 8000];
+// A stall longer than this is treated as a dead URL (ms)
+const STALL_TIMEOUT = 8000;
+// Compact quality names for the control bar
+const QUALITY_LABELS = {
+    FLAC: 'FLAC', MP3_320: '320K', OGG_192: 'OGG', ACC_192: 'AAC', MP3_128: '128K', ACC_96: '96K'
+};
+const DEFAULT_QUALITY = 'FLAC';
+
+/**
+ * Map a stored quality to a SongFileType key ('flac'/'mp3' come from the old binary toggle)
+ */
+function normalizeQuality(quality) {
+    if (quality === 'flac') return 'FLAC';
+    if (quality === 'mp3') return 'MP3_320';
+    return QUALITY_LADDER.includes(quality) ? quality : DEFAULT_QUALITY;
+}
+
+// Playback speed range and keyboard step
+const MIN_SPEED = 0.5;
+const MAX_SPEED = 2;
+const SPEED_STEP = 0.05;
+const SPEED_PRESETS = [0.5, 0.75, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2];
+// Shortest A-B loop (seconds)
+const MIN_LOOP_LENGTH = 0.5;
+// Search page: recent searches kept, trending keywords shown, card results per page
+const MAX_RECENT_SEARCHES = 20;
+const MAX_HOT_KEYS = 20;
+const CARD_PAGE_SIZE = 30;
+// Song page size while search filters are on, and pages fetched in a row while they hide
+// everything, before waiting for the user to scroll
+const FILTERED_PAGE_SIZE = 100;
+const MAX_FILTERED_EMPTY_PAGES = 3;
+// Lyric offset nudge step (seconds); positive offsets show lyrics earlier, as in LRC [offset:]
+const LYRIC_OFFSET_STEP = 0.1;
+// Lyric sub-text modes in toggle order: stack shows romanization and translation
+// under the line, columns puts the translation beside it
+const LYRIC_SUB_MODES = ['off', 'trans', 'roma', 'stack', 'columns'];
+const LYRIC_SUB_LABELS = { off: '关', trans: '翻译', roma: '音译', stack: '叠放', columns: '双栏' };
+const LYRIC_SCALE_MIN = 0.6;
+const LYRIC_SCALE_MAX = 1.6;
+const LYRIC_SCALE_STEP = 0.1;
+const DEFAULT_LYRIC_DISPLAY = { sub: 'off', layout: 'arc', scale: 1, align: 'left' };
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.round(bytes / 1024)}KB`;
+}
+
 
 // History Manager
 class HistoryManager {
@@ -298,6 +382,31 @@ class UIManager {
 
         this.activeBgLayer = 1;
         this.currentPage = 'search';
+        this.popupMenus = []; // [{ menu, btn }] closed by one shared outside-click listener
+
+        this.karaoke = false; // Current lyrics have per-word timings
+        this.timeSource = null; // () => playback time in seconds, read every frame for karaoke
+
+        this.lyricMid = null; // Song the rendered lyrics belong to
+        this.lyricOffset = 0; // Seconds added to playback time before matching lyric lines
+        this.lyricOffsets = {}; // mid -> user offset in seconds
+        this.onLyricLine = null; // (index) => void, active lyric line changed
+        this.onSubModeChange = null; // () => void, sub-text mode changed
+        try {
+            this.lyricOffsets = JSON.parse(localStorage.getItem('qqmusic_lyric_offsets')) || {};
+        } catch (e) {
+            console.warn('Failed to load lyric offsets:', e);
+        }
+
+        // Sub-text mode is the preferred one; subMode is what the current song can show
+        this.lyricDisplay = { ...DEFAULT_LYRIC_DISPLAY };
+        this.subMode = 'off';
+        this.lineTops = null; // Flat layout: measured top and height of each line
+        try {
+            this.lyricDisplay = { ...DEFAULT_LYRIC_DISPLAY, ...JSON.parse(localStorage.getItem('qqmusic_lyric_display')) };
+        } catch (e) {
+            console.warn('Failed to load lyric display settings:', e);
+        }
 
         this.initNavigation();
         this.initImmersivePlayer();
@@ -342,8 +451,14 @@ class UIManager {
         const hoverTimeEl = document.getElementById('waveform-hover-time');
 
         this.waveform.onSeek = (percent) => {
+            if (window.player && window.player.duration) {
+                window.player.seek(window.player.duration * percent);
+            }
+        };
+
+        this.waveform.onLoopPoint = (percent) => {
             if (window.player && window.player.audio.duration) {
-                window.player.seek(window.player.audio.duration * percent);
+                window.player.setLoopPoint(window.player.audio.duration * percent);
             }
         };
 
@@ -351,12 +466,12 @@ class UIManager {
         const container = document.getElementById('waveform-container');
         if (container && hoverTimeEl) {
             container.addEventListener('mousemove', (e) => {
-                if (!window.player || !window.player.audio.duration) return;
+                if (!window.player || !window.player.duration) return;
 
                 const rect = container.getBoundingClientRect();
                 const x = e.clientX - rect.left;
                 const percent = Math.max(0, Math.min(1, x / rect.width));
-                const time = window.player.audio.duration * percent;
+                const time = window.player.duration * percent;
 
                 hoverTimeEl.textContent = formatTime(time);
                 hoverTimeEl.style.left = `${x}px`;
@@ -408,18 +523,23 @@ class UIManager {
         }
     }
 
-    showPlaylistDetail(playlist) {
+    /**
+     * @param {Object} playlist - { name, cover, songs, count?, meta? }
+     * @param {string} returnPage - Page the back button goes to
+     */
+    showPlaylistDetail(playlist, returnPage = 'playlist') {
         this.switchPage('detail');
 
         // Store current playlist reference for click handlers
         this.currentDetailPlaylist = playlist;
+        this.detailReturnPage = returnPage;
 
         const cover = playlist.cover || 'https://y.gtimg.cn/mediastyle/global/img/playlist_300.png';
         const count = playlist.songs ? playlist.songs.length : playlist.count;
 
         this.els.detailCoverImg.src = cover;
         this.els.detailTitle.textContent = playlist.name;
-        this.els.detailMeta.textContent = `${count}首歌曲`;
+        this.els.detailMeta.textContent = playlist.meta || `${count}首歌曲`;
 
         // Play All Action
         this.els.detailPlayAll.onclick = () => {
@@ -471,6 +591,27 @@ class UIManager {
         }, 3000);
     }
 
+    /**
+     * Toggle a popup menu from its button and close it on clicks outside both
+     */
+    initPopupMenu(menu, btn) {
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            menu.classList.toggle('active');
+        };
+
+        if (this.popupMenus.length === 0) {
+            document.addEventListener('click', (e) => {
+                this.popupMenus.forEach(popup => {
+                    if (!popup.menu.contains(e.target) && !popup.btn.contains(e.target)) {
+                        popup.menu.classList.remove('active');
+                    }
+                });
+            });
+        }
+        this.popupMenus.push({ menu, btn });
+    }
+
     setPlaying(isPlaying) {
         this.els.playBtn.innerHTML = isPlaying
             ? '<i class="fas fa-pause"></i>'
@@ -664,6 +805,331 @@ class UIManager {
         }
     }
 
+    // ========== 均衡器面板 ==========
+
+    initEqualizerPanel(equalizer) {
+        const panel = document.getElementById('eq-panel');
+        const btn = document.getElementById('eq-btn');
+        if (!panel || !btn) return;
+
+        const enabledInput = document.getElementById('eq-enabled');
+        const presetSelect = document.getElementById('eq-preset');
+        const bandsContainer = document.getElementById('eq-bands');
+        const toneContainer = document.getElementById('eq-tone');
+
+        const formatFreq = (freq) => freq >= 1000 ? `${freq / 1000}k` : `${freq}`;
+        const formatDb = (db) => `${db > 0 ? '+' : ''}${db}dB`;
+
+        const createSlider = (label, value, onInput, vertical) => {
+            const wrap = document.createElement('div');
+            wrap.className = vertical ? 'eq-band' : 'eq-tone-row';
+            wrap.innerHTML = `
+                <span class="eq-value">${formatDb(value)}</span>
+                <input type="range" min="-${EQ_RANGE}" max="${EQ_RANGE}" step="0.5" value="${value}" ${vertical ? 'orient="vertical"' : ''}>
+                <span class="eq-label">${label}</span>
+            `;
+            const input = wrap.querySelector('input');
+            input.oninput = () => onInput(parseFloat(input.value));
+            return wrap;
+        };
+
+        const render = () => {
+            const { settings } = equalizer;
+
+            enabledInput.checked = settings.enabled;
+            panel.classList.toggle('disabled', !settings.enabled);
+            btn.classList.toggle('active', settings.enabled);
+
+            presetSelect.innerHTML = '';
+            presetSelect.add(new Option('自定义', 'custom'));
+            equalizer.getPresets().forEach(p => {
+                presetSelect.add(new Option(p.user ? `★ ${p.name}` : p.name, p.id));
+            });
+            presetSelect.value = settings.preset;
+            document.getElementById('eq-delete').disabled = !equalizer.userPresets[settings.preset];
+
+            bandsContainer.innerHTML = '';
+            EQ_BANDS.forEach((freq, i) => {
+                bandsContainer.appendChild(createSlider(formatFreq(freq), settings.bands[i], (db) => equalizer.setBand(i, db), true));
+            });
+
+            toneContainer.innerHTML = '';
+            toneContainer.appendChild(createSlider('低音', settings.bass, (db) => equalizer.setBass(db)));
+            toneContainer.appendChild(createSlider('高音', settings.treble, (db) => equalizer.setTreble(db)));
+            toneContainer.appendChild(createSlider('前级', settings.preamp, (db) => equalizer.setPreamp(db)));
+        };
+
+        // Slider drags only refresh labels, so the dragged input is never replaced
+        equalizer.onChange = (settings) => {
+            const labels = panel.querySelectorAll('.eq-value');
+            const values = [...settings.bands, settings.bass, settings.treble, settings.preamp];
+            labels.forEach((el, i) => el.textContent = formatDb(values[i]));
+            presetSelect.value = settings.preset;
+            document.getElementById('eq-delete').disabled = !equalizer.userPresets[settings.preset];
+        };
+
+        enabledInput.onchange = () => {
+            equalizer.setEnabled(enabledInput.checked);
+            render();
+        };
+
+        presetSelect.onchange = () => {
+            equalizer.applyPreset(presetSelect.value);
+            render();
+        };
+
+        document.getElementById('eq-save').onclick = () => {
+            const current = equalizer.userPresets[equalizer.settings.preset];
+            const name = prompt('预设名称（例如耳机型号）', current?.name || '');
+            if (!name || !name.trim()) return;
+            equalizer.savePreset(name.trim());
+            render();
+            this.notify(`已保存预设: ${name.trim()}`);
+        };
+
+        document.getElementById('eq-delete').onclick = () => {
+            const id = equalizer.settings.preset;
+            const preset = equalizer.userPresets[id];
+            if (preset && confirm(`确定要删除预设「${preset.name}」吗？`)) {
+                equalizer.deletePreset(id);
+                render();
+            }
+        };
+
+        document.getElementById('eq-reset').onclick = () => {
+            equalizer.reset();
+            render();
+        };
+
+        this.initPopupMenu(panel, btn);
+
+        render();
+    }
+
+    // ========== 音质 ==========
+
+    initQualityMenu(onSelect) {
+        const menu = document.getElementById('quality-menu');
+        const btn = document.getElementById('quality-toggle');
+        if (!menu || !btn) return;
+
+        menu.onclick = (e) => {
+            const item = e.target.closest('.quality-option');
+            if (!item) return;
+            onSelect(item.dataset.quality);
+            menu.classList.remove('active');
+        };
+
+        this.initPopupMenu(menu, btn);
+    }
+
+    /**
+     * @param {string} selected - Preferred SongFileType key
+     * @param {Object} sizes - File sizes of the current song (undefined while unknown)
+     */
+    renderQualityMenu(selected, sizes) {
+        const list = document.getElementById('quality-options');
+        if (!list) return;
+
+        list.innerHTML = QUALITY_LADDER.map(key => {
+            const size = sizes?.[key];
+            const unavailable = sizes && !size;
+            const status = size ? formatSize(size) : (unavailable ? '无此音质' : '');
+            return `
+                <button class="quality-option ${key === selected ? 'active' : ''} ${unavailable ? 'unavailable' : ''}" data-quality="${key}">
+                    <span class="quality-name">${SongFileType[key].name}</span>
+                    <span class="quality-size">${status}</span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Quality badge next to the song title; highlighted when the stream fell back
+     * @param {string} type - SongFileType key that was served (falsy hides the badge)
+     * @param {string} requested - SongFileType key that was asked for
+     */
+    updateQualityBadge(type, requested) {
+        const badge = document.getElementById('bar-quality');
+        if (!badge) return;
+
+        if (!type || !SongFileType[type]) {
+            badge.hidden = true;
+            return;
+        }
+
+        const fallback = QUALITY_LADDER.indexOf(type) > QUALITY_LADDER.indexOf(requested);
+        badge.hidden = false;
+        badge.textContent = QUALITY_LABELS[type];
+        badge.classList.toggle('fallback', fallback);
+        badge.title = fallback
+            ? `已选 ${SongFileType[requested].name}，当前歌曲实际为 ${SongFileType[type].name}`
+            : `当前音质: ${SongFileType[type].name}`;
+    }
+
+    // ========== 多标签页 ==========
+
+    /**
+     * @param {boolean} remote - Audio is playing in another tab; this one is a remote control
+     */
+    setRemoteMode(remote) {
+        document.body.classList.toggle('remote-mode', remote);
+        const badge = document.getElementById('remote-badge');
+        if (badge) badge.hidden = !remote;
+    }
+
+    // ========== 播放速度 ==========
+
+    initSpeedMenu(player) {
+        const menu = document.getElementById('speed-menu');
+        const btn = document.getElementById('speed-btn');
+        if (!menu || !btn) return;
+
+        document.getElementById('speed-options').innerHTML = SPEED_PRESETS
+            .map(rate => `<button class="quality-option" data-speed="${rate}">${rate}x</button>`)
+            .join('');
+
+        menu.onclick = (e) => {
+            const item = e.target.closest('[data-speed]');
+            if (item) player.setSpeed(parseFloat(item.dataset.speed));
+        };
+
+        document.getElementById('speed-pitch').onchange = (e) => player.setPreservesPitch(e.target.checked);
+
+        this.initPopupMenu(menu, btn);
+    }
+
+    updateSpeed(rate, preservesPitch) {
+        const label = document.getElementById('speed-label');
+        if (label) {
+            label.textContent = `${rate}x`;
+            label.parentElement.classList.toggle('active', rate !== 1);
+        }
+        document.querySelectorAll('#speed-options [data-speed]').forEach(el => {
+            el.classList.toggle('active', parseFloat(el.dataset.speed) === rate);
+        });
+        const pitch = document.getElementById('speed-pitch');
+        if (pitch) pitch.checked = preservesPitch;
+    }
+
+    // ========== K歌模式 ==========
+
+    initKaraokeMenu(player) {
+        const menu = document.getElementById('karaoke-menu');
+        const btn = document.getElementById('karaoke-btn');
+        if (!menu || !btn) return;
+
+        document.getElementById('karaoke-vocal').onchange = (e) => player.setKaraoke({ vocal: e.target.checked });
+        document.getElementById('karaoke-key-down').onclick = () => player.stepKey(-1);
+        document.getElementById('karaoke-key-up').onclick = () => player.stepKey(1);
+        document.getElementById('karaoke-key-label').onclick = () => player.setKaraoke({ key: 0 });
+
+        this.initPopupMenu(menu, btn);
+    }
+
+    /**
+     * EQ and karaoke run in the Web Audio graph, which streams without CORS headers skip
+     * @param {boolean} available
+     */
+    updateAudioEffects(available) {
+        const title = '当前音源不支持（无跨域权限）';
+        [['eq-btn', 'eq-panel'], ['karaoke-btn', 'karaoke-menu']].forEach(([btnId, menuId]) => {
+            const btn = document.getElementById(btnId);
+            if (!btn) return;
+            if (btn.dataset.title === undefined) btn.dataset.title = btn.title;
+            btn.disabled = !available;
+            btn.classList.toggle('unavailable', !available);
+            btn.title = available ? btn.dataset.title : title;
+            if (!available) document.getElementById(menuId)?.classList.remove('active');
+        });
+    }
+
+    updateKaraokeMode({ vocal, key }) {
+        const btn = document.getElementById('karaoke-btn');
+        if (btn) btn.classList.toggle('active', vocal || key !== 0);
+        const vocalInput = document.getElementById('karaoke-vocal');
+        if (vocalInput) vocalInput.checked = vocal;
+        const label = document.getElementById('karaoke-key-label');
+        if (label) {
+            label.textContent = key > 0 ? `+${key}` : String(key);
+            label.classList.toggle('active', key !== 0);
+        }
+        const down = document.getElementById('karaoke-key-down');
+        if (down) down.disabled = key <= -KEY_RANGE;
+        const up = document.getElementById('karaoke-key-up');
+        if (up) up.disabled = key >= KEY_RANGE;
+    }
+
+    // ========== 睡眠定时 ==========
+
+    initSleepMenu(player) {
+        const menu = document.getElementById('sleep-menu');
+        const btn = document.getElementById('sleep-btn');
+        if (!menu || !btn) return;
+
+        const options = document.getElementById('sleep-options');
+        options.innerHTML = [
+            ...SLEEP_PRESETS.map(min => `<button class="quality-option" data-sleep="${min}">${min} 分钟</button>`),
+            '<button class="quality-option" data-sleep="custom">自定义时长…</button>',
+            '<button class="quality-option" data-sleep="track">播完当前歌曲</button>',
+            '<button class="quality-option" data-sleep="tracks">播完 N 首歌曲…</button>',
+            '<button class="quality-option sleep-cancel" data-sleep="off">取消定时</button>'
+        ].join('');
+
+        options.onclick = (e) => {
+            const item = e.target.closest('[data-sleep]');
+            if (!item) return;
+            menu.classList.remove('active');
+
+            const value = item.dataset.sleep;
+            if (value === 'off') {
+                player.cancelSleepTimer();
+            } else if (value === 'track') {
+                player.setSleepTimer('track');
+            } else if (value === 'custom') {
+                const minutes = parseInt(prompt('多少分钟后停止播放？', '20'));
+                if (minutes > 0) player.setSleepTimer(minutes);
+            } else if (value === 'tracks') {
+                const count = parseInt(prompt('播放多少首歌曲后停止？（包括当前歌曲）', '3'));
+                if (count > 0) player.setSleepTimer({ tracks: count });
+            } else {
+                player.setSleepTimer(parseInt(value));
+            }
+        };
+
+        this.initPopupMenu(menu, btn);
+
+        const immersive = document.getElementById('immersive-sleep');
+        if (immersive) {
+            immersive.onclick = () => {
+                if (confirm('取消睡眠定时？')) player.cancelSleepTimer();
+            };
+        }
+    }
+
+    /**
+     * Countdown in the control bar and the immersive player
+     */
+    updateSleepTimer(active, label) {
+        const btn = document.getElementById('sleep-btn');
+        const barLabel = document.getElementById('sleep-label');
+        const immersive = document.getElementById('immersive-sleep');
+
+        if (btn) {
+            btn.classList.toggle('active', active);
+            btn.title = active ? `睡眠定时: ${label}` : '睡眠定时';
+        }
+        if (barLabel) {
+            barLabel.textContent = label;
+            barLabel.hidden = !active;
+        }
+        if (immersive) {
+            immersive.hidden = !active;
+            document.getElementById('immersive-sleep-label').textContent = label;
+        }
+        document.getElementById('sleep-options')?.querySelector('.sleep-cancel')?.toggleAttribute('hidden', !active);
+    }
+
     // ========== 沉浸式播放页 ==========
 
     openImmersivePlayer() {
@@ -678,16 +1144,16 @@ class UIManager {
         this.stopRenderLoop();
     }
 
-    renderLyrics(lyrics) {
-        // Get toggle elements
-        const toggleContainer = document.getElementById('lyrics-toggle-container');
-        const toggleBtn = document.getElementById('lyrics-toggle-btn');
-        const toggleLabel = document.getElementById('lyrics-toggle-label');
+    /**
+     * @param {Object|null} lyrics - getLyric result
+     * @param {string} [mid] - Song mid, used for the saved lyric offset
+     */
+    renderLyrics(lyrics, mid = null) {
+        this.lyricMid = mid;
+        this.lyricOffset = (mid && this.lyricOffsets[mid]) || 0;
+        this.updateLyricOffset();
 
-        // Reset toggle state
-        this.showSubText = false;
-        this.subTextType = 'trans'; // 'trans' or 'roma'
-        toggleBtn?.classList.remove('active');
+        const toggleContainer = document.getElementById('lyrics-toggle-container');
 
         if (!lyrics || !lyrics.lyric) {
             // Show "暂无歌词" as a single active lyric line
@@ -701,12 +1167,21 @@ class UIManager {
             this.els.lyricsScroll.appendChild(el);
             this.currentLyrics = [];
             this.lyricElements = [];
+            this.karaoke = false;
+            this.transLines = [];
+            this.romaLines = [];
+            this.applySubMode('off');
             if (toggleContainer) toggleContainer.style.display = 'none';
             return;
         }
 
-        // Parse lyrics
-        const mainLines = this.parseLyrics(lyrics.lyric).filter(l => l.text);
+        // Parse lyrics (QRC keeps per-word timings for karaoke, LRC is line-level)
+        const isQrc = /^\s*\[\d+,\d+\]/m.test(lyrics.lyric);
+        const mainLines = (isQrc ? this.parseQrcLyrics(lyrics.lyric) : this.parseLyrics(lyrics.lyric)).filter(l => l.text);
+        this.karaoke = isQrc && mainLines.some(l => l.words.length > 0);
+        this.karaokeLineIdx = -1;
+        this.karaokeWordEls = [];
+        this.karaokeFills = [];
         const transLines = lyrics.trans ? this.parseLyrics(lyrics.trans).filter(l => l.text) : [];
 
         // Roma might be in QRC format (word-by-word: [ms,dur]word) or LRC format
@@ -724,28 +1199,13 @@ class UIManager {
         this.transLines = transLines;
         this.romaLines = romaLines;
 
-        // Determine what's available
-        const hasTrans = transLines.length > 0;
-        const hasRoma = romaLines.length > 0;
-
         // Show/hide toggle button
         if (toggleContainer) {
-            if (hasTrans || hasRoma) {
-                toggleContainer.style.display = 'block';
-                // Set default label based on availability
-                if (hasTrans) {
-                    this.subTextType = 'trans';
-                    toggleLabel.textContent = '译';
-                } else {
-                    this.subTextType = 'roma';
-                    toggleLabel.textContent = '音';
-                }
-            } else {
-                toggleContainer.style.display = 'none';
-            }
+            toggleContainer.style.display = transLines.length > 0 || romaLines.length > 0 ? 'block' : 'none';
         }
 
         this.currentLyrics = mainLines;
+        this.applySubMode(this.resolveSubMode(this.lyricDisplay.sub));
 
         if (mainLines.length === 0) {
             this.els.lyricsScroll.innerHTML = '';
@@ -769,21 +1229,29 @@ class UIManager {
             el.dataset.time = line.time;
             el.dataset.index = i;
 
-            // Main text
+            // Main text (one span per word in karaoke mode)
             const mainSpan = document.createElement('span');
             mainSpan.className = 'lyric-main';
-            mainSpan.textContent = line.text;
+            if (this.karaoke) {
+                el.classList.add('karaoke');
+                line.words.forEach(word => {
+                    const wordSpan = document.createElement('span');
+                    wordSpan.className = 'lyric-word';
+                    wordSpan.textContent = word.text;
+                    mainSpan.appendChild(wordSpan);
+                });
+            } else {
+                mainSpan.textContent = line.text;
+            }
             el.appendChild(mainSpan);
 
-            // Sub text (trans or roma) - use nearest time matching
-            const subSpan = document.createElement('div');
-            subSpan.className = 'lyric-sub';
-            const transText = this.findNearestLyric(this.transLines, line.time, 1.0);
-            const romaText = this.findNearestLyric(this.romaLines, line.time, 1.0);
-            subSpan.dataset.trans = transText;
-            subSpan.dataset.roma = romaText;
-            subSpan.textContent = this.subTextType === 'trans' ? transText : romaText;
-            el.appendChild(subSpan);
+            // Sub text (roma, then trans) - use nearest time matching; the sub mode decides which show
+            ['roma', 'trans'].forEach(type => {
+                const subSpan = document.createElement('div');
+                subSpan.className = `lyric-sub lyric-sub-${type}`;
+                subSpan.textContent = this.findNearestLyric(type === 'trans' ? this.transLines : this.romaLines, line.time, 1.0);
+                el.appendChild(subSpan);
+            });
 
             fragment.appendChild(el);
         });
@@ -794,6 +1262,7 @@ class UIManager {
         // Cache DOM elements
         this.lyricElements = Array.from(this.els.lyricsScroll.querySelectorAll('.lyric-line'));
         this.lineRenderIndices = null;
+        this.lineTops = null;
 
         this.lastHighlightIdx = -1;
         this.targetRenderIndex = 0;
@@ -805,11 +1274,16 @@ class UIManager {
         const regex = /\[(\d{2}):(\d{2})\.(\d{2,3})\](.*)/g;
         let match;
 
+        // [offset:ms] - positive values show lyrics earlier. Applied per text so
+        // translations with their own offset still line up in findNearestLyric
+        const offsetMatch = lyricText.match(/\[offset:\s*([+-]?\d+)\s*\]/i);
+        const offset = offsetMatch ? parseInt(offsetMatch[1]) / 1000 : 0;
+
         while ((match = regex.exec(lyricText)) !== null) {
             const minutes = parseInt(match[1]);
             const seconds = parseInt(match[2]);
             const ms = parseInt(match[3].padEnd(3, '0'));
-            const time = minutes * 60 + seconds + ms / 1000;
+            const time = Math.max(0, minutes * 60 + seconds + ms / 1000 - offset);
             const text = match[4].trim();
             lines.push({ time, text });
         }
@@ -837,7 +1311,9 @@ class UIManager {
         return bestMatch ? bestMatch.text : '';
     }
 
-    // Parse QRC word-by-word format: [startMs,durationMs]word or word(startMs,durationMs)
+    // Parse QRC word-by-word format: [lineStartMs,lineDurMs]word(startMs,durMs)word(startMs,durMs)...
+    // Some roma data puts [startMs,durMs] in front of each word instead
+    // Returns lines as { time, duration, text, words: [{ text, start, duration }] } in seconds
     parseQrcLyrics(qrcText) {
         if (!qrcText) return [];
 
@@ -847,29 +1323,44 @@ class UIManager {
         const rawLines = qrcText.split('\n');
 
         for (const rawLine of rawLines) {
-            if (!rawLine.trim()) continue;
+            const header = rawLine.match(/^\s*\[(\d+),(\d+)\](.*)$/);
+            if (!header) continue;
 
-            // Extract all [ms,dur]word pairs from this line
-            const wordRegex = /\[(\d+),(\d+)\]([^\[]*)/g;
+            const words = [];
             let wordMatch;
-            let lineText = '';
-            let lineStartTime = null;
 
-            while ((wordMatch = wordRegex.exec(rawLine)) !== null) {
-                const startMs = parseInt(wordMatch[1]);
-                let word = wordMatch[3];
-
-                // Remove any (ms,dur) timestamps from word text
-                word = word.replace(/\(\d+,\d+\)/g, '');
-
-                if (lineStartTime === null) {
-                    lineStartTime = startMs / 1000; // Convert to seconds
+            if (/\(\d+,\d+\)/.test(header[3])) {
+                // Timing follows each word
+                const wordRegex = /(.*?)\((\d+),(\d+)\)/g;
+                while ((wordMatch = wordRegex.exec(header[3])) !== null) {
+                    if (!wordMatch[1]) continue;
+                    words.push({
+                        text: wordMatch[1],
+                        start: parseInt(wordMatch[2]) / 1000,
+                        duration: parseInt(wordMatch[3]) / 1000
+                    });
+                }
+            } else {
+                // Timing precedes each word
+                const wordRegex = /\[(\d+),(\d+)\]([^\[]*)/g;
+                while ((wordMatch = wordRegex.exec(rawLine)) !== null) {
+                    if (!wordMatch[3]) continue;
+                    words.push({
+                        text: wordMatch[3],
+                        start: parseInt(wordMatch[1]) / 1000,
+                        duration: parseInt(wordMatch[2]) / 1000
+                    });
                 }
-                lineText += word;
             }
 
-            if (lineText.trim() && lineStartTime !== null) {
-                lines.push({ time: lineStartTime, text: lineText.trim() });
+            const lineText = words.map(w => w.text).join('').trim();
+            if (lineText) {
+                lines.push({
+                    time: parseInt(header[1]) / 1000,
+                    duration: parseInt(header[2]) / 1000,
+                    text: lineText,
+                    words
+                });
             }
         }
 
@@ -879,6 +1370,7 @@ class UIManager {
     highlightLyric(currentTime) {
         // 如果没有歌词或元素，直接返回
         if (!this.lyricElements || this.lyricElements.length === 0) return;
+        currentTime += this.lyricOffset;
 
         // 找到当前歌词行
         let activeIdx = -1;
@@ -901,6 +1393,7 @@ class UIManager {
                 this.lyricElements[activeIdx].classList.add('active');
             }
             this.lastHighlightIdx = activeIdx;
+            if (this.onLyricLine) this.onLyricLine(activeIdx);
         }
 
         // 设置目标渲染索引，渲染循环会负责平滑过渡
@@ -941,13 +1434,22 @@ class UIManager {
         radius = Math.max(400, Math.min(1200, radius));
         this.els.lyricsScroll.style.setProperty('--lyric-radius', `${radius}px`);
 
-        const spacing = 80;
+        // Stacked sub-text makes every line a row taller
+        const spacing = (this.subMode === 'stack' ? 104 : 80) * this.lyricDisplay.scale;
         this.currentAngleStep = (spacing / radius) * 57.2958;
+        this.lineTops = null;
     }
 
     renderFrame() {
         if (!this.lyricElements || this.lyricElements.length === 0) return;
 
+        // Karaoke needs frame-accurate time; timeupdate only fires a few times a second
+        if (this.karaoke && this.timeSource) {
+            const time = this.timeSource();
+            this.highlightLyric(time);
+            this.updateKaraoke(time);
+        }
+
         if (!this.userScrolling) {
             const diff = this.targetRenderIndex - this.currentRenderIndex;
             if (Math.abs(diff) > 0.001) {
@@ -962,8 +1464,11 @@ class UIManager {
             this.lineRenderIndices = new Array(this.lyricElements.length).fill(this.currentRenderIndex);
         }
 
+        const flat = this.lyricDisplay.layout === 'flat';
+        if (flat && !this.lineTops) this.measureLyricLines();
+
         const angleStep = this.currentAngleStep || 6;
-        const bias = -1;
+        const bias = flat ? 0 : -1;
         const visibleRange = 25;
         const centerIndex = Math.floor(this.currentRenderIndex);
 
@@ -996,10 +1501,14 @@ class UIManager {
             const offset = i - currentPos + bias;
             if (Math.abs(offset) < visibleRange) {
                 const el = this.lyricElements[i];
-                const angle = offset * angleStep;
-                const opacity = Math.max(0, 1 - Math.abs(offset) * 0.2);
-                el.style.transform = `rotate(${angle}deg)`;
-                el.style.opacity = opacity;
+                if (flat) {
+                    el.style.transform = `translateY(${this.lineTops[i].top - this.flatFocusY(currentPos)}px)`;
+                    el.style.opacity = Math.max(0, 1 - Math.abs(offset) * 0.12);
+                } else {
+                    const angle = offset * angleStep;
+                    el.style.transform = `rotate(${angle}deg)`;
+                    el.style.opacity = Math.max(0, 1 - Math.abs(offset) * 0.2);
+                }
                 if (el.style.visibility !== 'visible') el.style.visibility = 'visible';
             } else {
                 if (this.lyricElements[i].style.visibility !== 'hidden') {
@@ -1009,6 +1518,315 @@ class UIManager {
         }
     }
 
+    /**
+     * Flat layout: stack lines by their rendered height (wrapped and sub-text lines are taller)
+     */
+    measureLyricLines() {
+        let top = 0;
+        this.lineTops = this.lyricElements.map(el => {
+            const entry = { top, height: el.offsetHeight };
+            top += entry.height;
+            return entry;
+        });
+    }
+
+    /**
+     * Flat layout: y of the center of a fractional line position, so the active line sits centered
+     */
+    flatFocusY(pos) {
+        const tops = this.lineTops;
+        const center = (i) => tops[i].top + tops[i].height / 2;
+        const i = Math.max(0, Math.min(tops.length - 1, Math.floor(pos)));
+        const next = Math.min(tops.length - 1, i + 1);
+        return center(i) + (center(next) - center(i)) * Math.max(0, Math.min(1, pos - i));
+    }
+
+    // ========== 歌词显示（对照 / 布局 / 字号 / 对齐） ==========
+
+    /**
+     * Sub-text modes the current song can show
+     */
+    availableSubModes() {
+        const hasTrans = this.transLines?.length > 0;
+        const hasRoma = this.romaLines?.length > 0;
+        return LYRIC_SUB_MODES.filter(mode => {
+            if (mode === 'trans' || mode === 'columns') return hasTrans;
+            if (mode === 'roma') return hasRoma;
+            if (mode === 'stack') return hasTrans && hasRoma;
+            return true;
+        });
+    }
+
+    /**
+     * Closest mode to the preferred one that this song supports
+     */
+    resolveSubMode(preferred) {
+        const available = this.availableSubModes();
+        if (available.includes(preferred)) return preferred;
+        if (preferred === 'off') return 'off';
+        // Whichever single line exists, e.g. a song with translation only
+        return available.find(mode => mode === 'trans' || mode === 'roma') || 'off';
+    }
+
+    applySubMode(mode) {
+        this.subMode = mode;
+        this.showSubText = mode !== 'off';
+        // Single sub line for desktop lyrics, cards and export
+        this.subTextType = mode === 'roma' || !this.transLines?.length ? 'roma' : 'trans';
+
+        LYRIC_SUB_MODES.forEach(m => this.els.lyricsScroll.classList.toggle(`sub-${m}`, m === mode));
+
+        const toggleBtn = document.getElementById('lyrics-toggle-btn');
+        const toggleLabel = document.getElementById('lyrics-toggle-label');
+        toggleBtn?.classList.toggle('active', this.showSubText);
+        if (toggleLabel) {
+            const labels = { trans: '译', roma: '音', stack: '叠', columns: '栏' };
+            toggleLabel.textContent = labels[mode] || (this.subTextType === 'roma' ? '音' : '译');
+        }
+
+        this.updateImmersiveLayout();
+        this.updateLyricDisplayMenu();
+        if (this.onSubModeChange) this.onSubModeChange();
+    }
+
+    /**
+     * User picked a sub-text mode; remembered for the following songs
+     */
+    setSubMode(mode) {
+        this.setLyricDisplay({ sub: mode });
+        this.applySubMode(this.resolveSubMode(mode));
+    }
+
+    /**
+     * Toggle button: cycle through the modes this song supports
+     */
+    cycleSubMode() {
+        const available = this.availableSubModes();
+        const next = available[(available.indexOf(this.subMode) + 1) % available.length];
+        this.setSubMode(next);
+    }
+
+    setLyricDisplay(changes) {
+        this.lyricDisplay = { ...this.lyricDisplay, ...changes };
+        try {
+            localStorage.setItem('qqmusic_lyric_display', JSON.stringify(this.lyricDisplay));
+        } catch (e) {
+            console.warn('Failed to save lyric display settings:', e);
+        }
+        this.applyLyricDisplay();
+    }
+
+    /**
+     * Push layout, font scale and alignment to the lyric container
+     */
+    applyLyricDisplay() {
+        const { layout, scale, align } = this.lyricDisplay;
+        const scroll = this.els.lyricsScroll;
+        scroll.classList.toggle('flat', layout === 'flat');
+        ['left', 'center', 'right'].forEach(a => scroll.classList.toggle(`align-${a}`, a === align));
+        scroll.style.setProperty('--lyric-scale', scale);
+
+        // Arc transforms don't carry over, and the flat list is laid out from scratch
+        this.lyricElements?.forEach(el => {
+            el.style.transform = '';
+        });
+        this.lineRenderIndices = null;
+        this.updateImmersiveLayout();
+        this.updateLyricDisplayMenu();
+    }
+
+    stepLyricScale(direction) {
+        const scale = Math.round((this.lyricDisplay.scale + direction * LYRIC_SCALE_STEP) * 10) / 10;
+        this.setLyricDisplay({ scale: Math.max(LYRIC_SCALE_MIN, Math.min(LYRIC_SCALE_MAX, scale)) });
+    }
+
+    initLyricDisplayMenu() {
+        const menu = document.getElementById('lyric-display-menu');
+        const btn = document.getElementById('lyric-display-btn');
+        if (!menu || !btn) return;
+
+        document.getElementById('lyric-display-sub').innerHTML = LYRIC_SUB_MODES
+            .map(mode => `<button class="lyric-display-option" data-sub="${mode}">${LYRIC_SUB_LABELS[mode]}</button>`)
+            .join('');
+
+        menu.onclick = (e) => {
+            const item = e.target.closest('button');
+            if (!item || item.disabled) return;
+            if (item.dataset.sub) this.setSubMode(item.dataset.sub);
+            if (item.dataset.layout) this.setLyricDisplay({ layout: item.dataset.layout });
+            if (item.dataset.align) this.setLyricDisplay({ align: item.dataset.align });
+            if (item.dataset.scale) this.stepLyricScale(parseInt(item.dataset.scale));
+        };
+
+        this.initPopupMenu(menu, btn);
+
+        this.applyLyricDisplay();
+    }
+
+    updateLyricDisplayMenu() {
+        const menu = document.getElementById('lyric-display-menu');
+        if (!menu) return;
+        const { layout, scale, align } = this.lyricDisplay;
+        const available = this.availableSubModes();
+
+        menu.querySelectorAll('[data-sub]').forEach(el => {
+            el.classList.toggle('active', el.dataset.sub === this.subMode);
+            el.disabled = !available.includes(el.dataset.sub);
+        });
+        menu.querySelectorAll('[data-layout]').forEach(el => el.classList.toggle('active', el.dataset.layout === layout));
+        menu.querySelectorAll('[data-align]').forEach(el => {
+            el.classList.toggle('active', el.dataset.align === align);
+            // The arc is anchored on its left edge
+            el.disabled = layout !== 'flat';
+        });
+        document.getElementById('lyric-display-scale').textContent = `${Math.round(scale * 100)}%`;
+        menu.querySelector('[data-scale="-1"]').disabled = scale <= LYRIC_SCALE_MIN;
+        menu.querySelector('[data-scale="1"]').disabled = scale >= LYRIC_SCALE_MAX;
+    }
+
+    /**
+     * The single sub line (translation or romanization) shown with a lyric line
+     * outside the immersive view: desktop lyrics, cards and export
+     */
+    subTextFor(line) {
+        const subLines = this.subTextType === 'roma' || !this.transLines?.length ? this.romaLines : this.transLines;
+        return line ? this.findNearestLyric(subLines, line.time, 1.0) : '';
+    }
+
+    /**
+     * Fill each word of the active line according to its own timing
+     */
+    updateKaraoke(time) {
+        time += this.lyricOffset;
+        const idx = this.lastHighlightIdx;
+        if (idx !== this.karaokeLineIdx) {
+            // Reset the line we just left
+            this.karaokeWordEls.forEach(el => el.style.removeProperty('--fill'));
+            this.karaokeLineIdx = idx;
+            this.karaokeWordEls = idx >= 0 && this.lyricElements[idx]
+                ? Array.from(this.lyricElements[idx].querySelectorAll('.lyric-word'))
+                : [];
+            this.karaokeFills = [];
+        }
+
+        const line = this.currentLyrics[idx];
+        if (!line || !line.words) return;
+
+        line.words.forEach((word, i) => {
+            const progress = word.duration > 0 ? (time - word.start) / word.duration : (time >= word.start ? 1 : 0);
+            const fill = Math.round(Math.max(0, Math.min(1, progress)) * 1000) / 10;
+            if (this.karaokeFills[i] !== fill && this.karaokeWordEls[i]) {
+                this.karaokeWordEls[i].style.setProperty('--fill', `${fill}%`);
+                this.karaokeFills[i] = fill;
+            }
+        });
+    }
+
+    /**
+     * Playback time for a lyric line, accounting for the offset
+     */
+    lyricSeekTime(lineTime) {
+        return Math.max(0, lineTime - this.lyricOffset);
+    }
+
+    /**
+     * Set the user offset for the current song and remember it per mid
+     * @param {number} seconds - Positive = lyrics earlier
+     * @param {boolean} persist - Save it; false only changes what is shown (e.g. while editing timings)
+     */
+    setLyricOffset(seconds, persist = true) {
+        const offset = Math.round(seconds * 10) / 10;
+        this.lyricOffset = offset;
+
+        if (persist && this.lyricMid) {
+            this.saveLyricOffset(this.lyricMid, offset);
+        }
+
+        this.updateLyricOffset();
+        // Re-match the active line right away
+        if (this.timeSource) this.highlightLyric(this.timeSource());
+    }
+
+    /**
+     * Persist a song's offset without touching what is on screen (e.g. for a song no longer playing)
+     */
+    saveLyricOffset(mid, offset) {
+        if (offset === 0) {
+            delete this.lyricOffsets[mid];
+        } else {
+            this.lyricOffsets[mid] = offset;
+        }
+        try {
+            localStorage.setItem('qqmusic_lyric_offsets', JSON.stringify(this.lyricOffsets));
+        } catch (e) {
+            console.warn('Failed to save lyric offset:', e);
+        }
+    }
+
+    stepLyricOffset(direction) {
+        this.setLyricOffset(this.lyricOffset + direction * LYRIC_OFFSET_STEP);
+        this.notify(`歌词偏移: ${this.formatLyricOffset()}`);
+    }
+
+    formatLyricOffset() {
+        const offset = this.lyricOffset;
+        if (offset === 0) return '0.0s';
+        return `${offset > 0 ? '提前' : '延后'} ${Math.abs(offset).toFixed(1)}s`;
+    }
+
+    /**
+     * Show whether the lyrics come from an imported file
+     * @param {string|null} fileName - Imported file name, or null for official lyrics
+     */
+    updateLyricSource(fileName) {
+        const revertBtn = document.getElementById('lyric-revert-btn');
+        if (revertBtn) {
+            revertBtn.hidden = fileName === null;
+            revertBtn.title = fileName ? `当前为本地歌词：${fileName}，点击恢复官方歌词` : '恢复官方歌词';
+        }
+        // Nothing to show: keep the import button visible as a hint
+        document.getElementById('lyric-file')?.classList.toggle('active', !this.currentLyrics?.length);
+    }
+
+    /**
+     * Current lyrics in playback time, with the aligned romanization and translation
+     * @param {boolean} includeSub - Include roma / trans (both, whichever exist)
+     */
+    lyricExportRows(includeSub) {
+        return (this.currentLyrics || []).map(line => ({
+            time: this.lyricSeekTime(line.time),
+            duration: line.duration,
+            text: line.text,
+            roma: includeSub ? this.findNearestLyric(this.romaLines, line.time, 1.0) : '',
+            trans: includeSub ? this.findNearestLyric(this.transLines, line.time, 1.0) : ''
+        }));
+    }
+
+    initLyricExportMenu(onExport) {
+        const menu = document.getElementById('lyric-export-menu');
+        const btn = document.getElementById('lyric-export-btn');
+        if (!menu || !btn) return;
+
+        document.getElementById('lyric-export-options').innerHTML = Object.entries(LYRIC_EXPORT_FORMATS)
+            .map(([key, format]) => `<button class="quality-option" data-format="${key}">${format.label}<span class="quality-size">.${format.ext}</span></button>`)
+            .join('');
+
+        menu.onclick = (e) => {
+            const item = e.target.closest('[data-format]');
+            if (!item) return;
+            onExport(item.dataset.format, document.getElementById('lyric-export-sub').checked);
+            menu.classList.remove('active');
+        };
+
+        this.initPopupMenu(menu, btn);
+    }
+
+    updateLyricOffset() {
+        const label = document.getElementById('lyric-offset-label');
+        if (label) label.textContent = this.formatLyricOffset();
+        document.getElementById('lyric-offset')?.classList.toggle('active', this.lyricOffset !== 0);
+    }
+
     setUserScrolling(scrolling) {
         this.userScrolling = scrolling;
         if (scrolling) {
@@ -1024,21 +1842,85 @@ class UIManager {
 class PlayerManager {
     constructor(ui) {
         this.ui = ui;
-        this.audio = new Audio();
+        this.engine = new AudioEngine();
+        this.equalizer = new Equalizer();
+        this.engine.registerInsert('equalizer', ctx => this.equalizer.attach(ctx));
+        this.karaoke = new Karaoke();
+        this.engine.registerInsert('karaoke', ctx => this.karaoke.attach(ctx));
+        this.normalizer = new LoudnessNormalizer();
+        this.loudnessMeter = null;
+        this.sleepTimer = new SleepTimer();
+        this.sleepGain = null;
+        this.engine.registerInsert('sleep', ctx => {
+            this.sleepGain = ctx.createGain();
+            return { input: this.sleepGain, output: this.sleepGain };
+        });
+        this.sleepTimer.onTick = () => this.updateSleepTimer();
+        this.sleepTimer.onExpire = () => this.onSleepTimerExpired();
         this.queue = [];
         this.currentIndex = -1;
-        this.playMode = 'sequence'; // sequence, repeat_one, shuffle
+        this.playMode = 'sequence'; // sequence, repeat_one, shuffle, smart_shuffle
         this.nextPendingCount = 0; // Counter for "Add to Next" priority songs
-
-        this.urlCache = new Map();
+        this.crossfade = 0; // Seconds, 0 = gapless handoff
+        this.shuffle = new ShuffleOrder();
+        this.preloadAttemptMid = null;
+        this.autoAdvancing = false;
+        this.lastSessionSave = 0;
+        this.sessionRestored = false;
+        this.pendingRestoreTime = null; // Position to seek to once restored metadata loads
+        this.abLoop = { a: null, b: null }; // Seconds
+        this.loopFrame = null;
+        this.songSpeeds = {}; // mid -> playback rate (only non-1x)
+        this.songKaraoke = {}; // mid -> { vocal, key } (only when not default)
+        this.preservesPitch = true;
+
+        // Only one tab plays; others forward commands to it
+        this.tabs = new TabCoordinator();
+        this.remoteState = null; // Last state received from the owning tab
+        this.initTabs();
+
+        this.urlCache = new Map(); // `${mid}:${quality}` -> { url, quality, type, expiresAt }
+        this.fileSizes = new Map(); // mid -> { [SongFileType key]: bytes }
+        this.measuringMid = null; // Song whose decoded buffer is being measured
+        this.directNoticeShown = false; // Told the user once that effects are off for direct streams
+        this.fileSizeRequests = new Map();
+        this.recovery = null; // { mid, attempts, timer } while re-resolving a broken stream
+        this.stallTimer = null;
 
         this.loadFromStorage();
         this.initAudio();
 
+        if (this.ui.waveform) {
+            this.ui.waveform.onBufferDecoded = (buffer, mid) => this.onTrackDecoded(buffer, mid);
+        }
+
+        this.restoreSession();
+
         // Debounce playSong to prevent lag during rapid switching
         this.playSongDebounced = this.debounce(this.playSong.bind(this), 300);
     }
 
+    /**
+     * The <audio> element of the active deck
+     */
+    get audio() {
+        return this.engine.audio;
+    }
+
+    // Position and state of whichever tab is actually playing
+
+    get currentTime() {
+        return this.tabs.isRemote && this.remoteState ? this.remoteState.time : this.audio.currentTime;
+    }
+
+    get duration() {
+        return this.tabs.isRemote && this.remoteState ? this.remoteState.duration : this.audio.duration;
+    }
+
+    get paused() {
+        return this.tabs.isRemote && this.remoteState ? this.remoteState.paused : this.audio.paused;
+    }
+
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -1064,6 +1946,25 @@ class PlayerManager {
                 this.playMode = savedMode;
                 this.updateModeUI();
             }
+            this.shuffle.smart = this.playMode === 'smart_shuffle';
+            this.shuffle.sync(this.queue);
+
+            const savedCrossfade = parseFloat(localStorage.getItem('qqmusic_crossfade'));
+            if (!isNaN(savedCrossfade)) {
+                this.crossfade = savedCrossfade;
+            }
+            this.updateCrossfadeUI();
+
+            const savedSpeeds = localStorage.getItem('qqmusic_speed');
+            if (savedSpeeds) {
+                this.songSpeeds = JSON.parse(savedSpeeds);
+            }
+            this.preservesPitch = localStorage.getItem('qqmusic_preserve_pitch') !== '0';
+
+            const savedKaraoke = localStorage.getItem('qqmusic_karaoke');
+            if (savedKaraoke) {
+                this.songKaraoke = JSON.parse(savedKaraoke);
+            }
         } catch (e) {
             console.warn('Failed to load from storage:', e);
         }
@@ -1075,26 +1976,238 @@ class PlayerManager {
         } catch (e) {
             console.warn('Failed to save queue:', e);
         }
+        this.shuffle.sync(this.queue, this.queue[this.currentIndex]?.mid);
+        // Queue edits shift currentIndex
+        this.saveSession();
     }
 
-    initAudio() {
-        this.audio.onended = () => {
-            if (this.playMode === 'repeat_one') {
-                this.audio.currentTime = 0;
-                this.audio.play();
-            } else {
-                this.next();
-            }
+    /**
+     * Snapshot of where playback is, restored paused on the next startup
+     */
+    saveSession() {
+        // Don't overwrite the snapshot before it has been read back, or from a remote tab
+        if (!this.sessionRestored || this.tabs.isRemote) return;
+
+        const song = this.queue[this.currentIndex];
+        const time = this.pendingRestoreTime ?? this.audio.currentTime;
+        const session = {
+            index: this.currentIndex,
+            mid: song?.mid || '',
+            time: song ? Math.floor(time * 10) / 10 : 0,
+            volume: this.engine.volume,
+            muted: this.engine.muted,
+            quality: this.preferredQuality(),
+            nextPendingCount: this.nextPendingCount,
+            savedAt: Date.now()
         };
 
-        this.audio.ontimeupdate = () => {
-            this.ui.updateProgress(this.audio.currentTime, this.audio.duration);
-        };
+        try {
+            localStorage.setItem('qqmusic_session', JSON.stringify(session));
+            this.lastSessionSave = session.savedAt;
+        } catch (e) {
+            console.warn('Failed to save session:', e);
+        }
+    }
 
-        this.audio.onplay = () => this.ui.setPlaying(true);
-        this.audio.onpause = () => this.ui.setPlaying(false);
+    loadSession() {
+        try {
+            const saved = localStorage.getItem('qqmusic_session');
+            if (saved) return JSON.parse(saved);
 
-        // Media Session
+            // Older versions only stored the index
+            const legacyIndex = parseInt(localStorage.getItem('qqmusic_currentIndex'));
+            if (!isNaN(legacyIndex)) return { index: legacyIndex };
+        } catch (e) {
+            console.warn('Failed to load session:', e);
+        }
+        return null;
+    }
+
+    /**
+     * Put the player back where the last session left off, paused
+     */
+    async restoreSession() {
+        const session = this.loadSession();
+        if (!session) {
+            this.sessionRestored = true;
+            return;
+        }
+
+        if (typeof session.volume === 'number') this.engine.volume = session.volume;
+        if (typeof session.muted === 'boolean') this.engine.muted = session.muted;
+        if (session.quality) this.setQuality(session.quality);
+
+        // Index may be stale if the queue was edited elsewhere; the mid is authoritative
+        let index = session.index;
+        if (session.mid && this.queue[index]?.mid !== session.mid) {
+            index = this.queue.findIndex(s => s.mid === session.mid);
+        }
+        const song = this.queue[index];
+        this.sessionRestored = true;
+        if (!song) return;
+
+        this.currentIndex = index;
+        this.nextPendingCount = session.nextPendingCount || 0;
+        this.ui.updateSongInfo(song);
+        this.ui.renderPlaylist(this.queue, this.currentIndex);
+        this.ui.updateProgress(session.time || 0, song.interval);
+
+        if (session.time > 0) {
+            this.pendingRestoreTime = session.time;
+        }
+
+        this.loadingMid = song.mid;
+        this.loadFileSizes(song.mid);
+        try {
+            const result = await this.resolveUrl(song.mid);
+            if (this.loadingMid !== song.mid || !result.url) return;
+
+            this.applyLoudness(song, this.engine.active);
+            this.engine.load(result.url);
+            this.updateNowPlaying(song, result.url);
+            this.showStreamQuality(result);
+
+            if (session.time > 0) {
+                // load() fired trackchange, which cleared it
+                this.pendingRestoreTime = session.time;
+                // Listen on the engine: the deck may swap elements (CORS fallback) before metadata arrives
+                this.engine.addEventListener('loadedmetadata', () => {
+                    // Ignore if another song was started before metadata arrived
+                    if (this.engine.active.url !== result.url || this.queue[this.currentIndex]?.mid !== song.mid) return;
+                    const audio = this.audio;
+                    audio.currentTime = Math.min(session.time, audio.duration || session.time);
+                    this.pendingRestoreTime = null;
+                    this.ui.updateProgress(audio.currentTime, audio.duration);
+                }, { once: true });
+            }
+        } catch (e) {
+            console.warn('Failed to restore session:', e);
+        } finally {
+            if (this.loadingMid === song.mid) {
+                this.loadingMid = null;
+            }
+        }
+    }
+
+    /**
+     * @param {string} quality - SongFileType key
+     */
+    setQuality(quality) {
+        const qualityValue = document.getElementById('quality-value');
+        const qualityLabel = document.getElementById('quality-label');
+        if (!qualityValue) return;
+
+        const key = normalizeQuality(quality);
+        const changed = qualityValue.value !== key;
+        qualityValue.value = key;
+        if (qualityLabel) {
+            qualityLabel.textContent = QUALITY_LABELS[key];
+        }
+
+        // The preloaded next track was resolved for the old quality
+        if (changed) {
+            this.engine.clearPreload();
+            this.preloadAttemptMid = null;
+        }
+
+        this.ui.renderQualityMenu(key, this.fileSizes.get(this.queue[this.currentIndex]?.mid));
+        this.saveSession();
+    }
+
+    initAudio() {
+        this.engine.addEventListener('ended', () => {
+            if (this.sleepTimer.stopsAfterCurrent) {
+                this.onSleepTimerExpired();
+                return;
+            }
+            // A loop without B runs from A to the end
+            if (this.abLoop.a !== null) {
+                this.seek(this.abLoop.a);
+                this.engine.play();
+                return;
+            }
+            if (this.playMode === 'repeat_one') {
+                this.sleepTimer.trackAdvanced();
+                this.audio.currentTime = 0;
+                this.engine.play();
+            } else {
+                // Preloaded next track starts immediately (gapless)
+                this.next({ immediate: true });
+            }
+        });
+
+        this.engine.addEventListener('timeupdate', () => {
+            this.ui.updateProgress(this.audio.currentTime, this.audio.duration);
+            this.checkLoop();
+            this.checkUpcoming();
+
+            if (!this.audio.paused && Date.now() - this.lastSessionSave > SESSION_SAVE_INTERVAL) {
+                this.saveSession();
+            }
+        });
+
+        this.engine.addEventListener('volumechange', () => {
+            this.tabs.send('setVolume', this.engine.volume, this.engine.muted);
+            this.saveSession();
+        });
+
+        this.engine.addEventListener('trackchange', () => {
+            this.sleepTimer.trackAdvanced();
+            this.clearLoop(true);
+            this.applySpeed();
+            this.applyKaraoke();
+            this.cancelRecovery();
+            this.pendingRestoreTime = null;
+            this.preloadAttemptMid = null;
+            this.autoAdvancing = false;
+            this.stopLoudnessMeter();
+            this.ui.updateAudioEffects(!this.engine.direct);
+        });
+
+        // CORS fallback swapped the deck to direct output (or back)
+        this.engine.addEventListener('outputchange', () => {
+            const available = !this.engine.direct;
+            this.ui.updateAudioEffects(available);
+            if (!available && !this.directNoticeShown) {
+                this.directNoticeShown = true;
+                this.ui.notify('当前音源不支持均衡器、K歌模式与响度均衡', 'info');
+            }
+        });
+
+        this.engine.addEventListener('playing', () => {
+            clearTimeout(this.stallTimer);
+            this.recovery = null;
+            this.startLoudnessMeter();
+        });
+
+        // Expired vkey or network failure: re-resolve and resume where we were
+        this.engine.addEventListener('error', () => {
+            const error = this.audio.error;
+            if (!this.audio.getAttribute('src') || error?.code === MediaError.MEDIA_ERR_ABORTED) return;
+            // Failing at track start: playSong is still waiting on play(), so the element isn't playing yet
+            const starting = !!this.loadingMid && this.loadingMid === this.queue[this.currentIndex]?.mid;
+            this.recoverStream(starting || !this.audio.paused);
+        });
+        this.engine.addEventListener('stalled', () => this.watchStall());
+
+        this.engine.addEventListener('play', () => {
+            // Audio started in this tab, so it takes over from any other
+            this.tabs.claim();
+            this.remoteState = null;
+            this.ui.setPlaying(true);
+        });
+        this.engine.addEventListener('pause', () => {
+            this.ui.setPlaying(false);
+            this.saveSession();
+        });
+
+        // Keep the exact position when the tab is closed or backgrounded
+        window.addEventListener('pagehide', () => this.saveSession());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveSession();
+        });
+
+        // Media Session
         if ('mediaSession' in navigator) {
             navigator.mediaSession.setActionHandler('play', () => this.play());
             navigator.mediaSession.setActionHandler('pause', () => this.pause());
@@ -1103,21 +2216,697 @@ class PlayerManager {
         }
     }
 
-    async playSong(song) {
+    preferredQuality() {
+        return normalizeQuality(document.getElementById('quality-value')?.value);
+    }
+
+    /**
+     * Per-quality file sizes from the song detail, fetched once per mid
+     * @returns {Promise<Object|null>} - null if the detail could not be loaded
+     */
+    loadFileSizes(mid) {
+        if (this.fileSizes.has(mid)) return Promise.resolve(this.fileSizes.get(mid));
+        if (this.fileSizeRequests.has(mid)) return this.fileSizeRequests.get(mid);
+
+        const request = getSongFileSizes(mid)
+            .then(sizes => {
+                this.fileSizes.set(mid, sizes);
+                if (this.queue[this.currentIndex]?.mid === mid) {
+                    this.ui.renderQualityMenu(this.preferredQuality(), sizes);
+                }
+                return sizes;
+            })
+            .catch(e => {
+                console.warn('Failed to load file sizes:', e);
+                return null;
+            })
+            .finally(() => this.fileSizeRequests.delete(mid));
+
+        this.fileSizeRequests.set(mid, request);
+        return request;
+    }
+
+    /**
+     * Show the quality a stream was actually served in
+     */
+    showStreamQuality(result) {
+        this.ui.updateQualityBadge(result?.type, this.preferredQuality());
+    }
+
+    // ========== Stream URLs ==========
+
+    urlCacheKey(mid) {
+        return `${mid}:${this.preferredQuality()}`;
+    }
+
+    /**
+     * Resolve a playable URL for the current quality setting, reusing unexpired results
+     * @param {string} mid - Song mid
+     * @param {boolean} fresh - Skip the cache (the cached URL failed)
+     * @returns {Promise<Object>} - { url, quality }
+     */
+    async resolveUrl(mid, fresh = false) {
+        const key = this.urlCacheKey(mid);
+        const cached = this.urlCache.get(key);
+        if (!fresh && cached && cached.expiresAt > Date.now()) {
+            return { url: cached.url, quality: cached.quality, type: cached.type };
+        }
+
+        // Skip formats the song detail says don't exist (if it has loaded)
+        const sizes = this.fileSizes.get(mid);
+        const result = await getSongUrlWithFallback(mid, this.preferredQuality(), sizes ? Object.keys(sizes) : null);
+        if (result.url) {
+            this.urlCache.set(key, { ...result, expiresAt: Date.now() + URL_CACHE_TTL });
+        } else {
+            this.urlCache.delete(key);
+        }
+
+        // Drop expired entries so the map doesn't grow for the whole session
+        const now = Date.now();
+        this.urlCache.forEach((entry, k) => {
+            if (entry.expiresAt <= now) this.urlCache.delete(k);
+        });
+
+        return result;
+    }
+
+    /**
+     * Whether a URL handed to a deck has outlived its vkey
+     */
+    isUrlExpired(url) {
+        if (!url) return false;
+        for (const entry of this.urlCache.values()) {
+            if (entry.url === url) return entry.expiresAt <= Date.now();
+        }
+        return true; // Pruned from the cache, so it is older than the TTL
+    }
+
+    /**
+     * Give a stalled stream some time before treating its URL as dead
+     */
+    watchStall() {
+        clearTimeout(this.stallTimer);
+        const audio = this.audio;
+        const position = audio.currentTime;
+
+        this.stallTimer = setTimeout(() => {
+            const stuck = this.audio === audio && !audio.paused &&
+                audio.currentTime === position && audio.readyState < HTMLMediaElement.HAVE_FUTURE_DATA;
+            if (stuck) this.recoverStream();
+        }, STALL_TIMEOUT);
+    }
+
+    /**
+     * Re-resolve the current song's URL and continue from the same position,
+     * retrying with backoff. Gives up and skips after STREAM_RETRY_DELAYS runs out.
+     * @param {boolean} resume - Start playing once reloaded (defaults to whether it was playing)
+     */
+    recoverStream(resume = !this.audio.paused) {
+        const song = this.queue[this.currentIndex];
+        // Another song is being loaded; its own errors recover it
+        if (!song || (this.loadingMid && this.loadingMid !== song.mid)) return;
+
+        if (!this.recovery || this.recovery.mid !== song.mid) {
+            this.cancelRecovery();
+            this.recovery = { mid: song.mid, attempts: 0, timer: null };
+        }
+        const recovery = this.recovery;
+        if (recovery.timer) return; // Already scheduled
+
+        if (recovery.attempts >= STREAM_RETRY_DELAYS.length) {
+            this.recovery = null;
+            if (resume) {
+                this.ui.notify(`播放中断: ${song.title || song.name}，已跳过`, 'error');
+                this.next();
+            } else {
+                this.ui.notify(`无法恢复播放: ${song.title || song.name}`, 'error');
+            }
+            return;
+        }
+
+        const position = this.pendingRestoreTime ?? this.audio.currentTime;
+        const delay = STREAM_RETRY_DELAYS[recovery.attempts];
+        recovery.attempts++;
+
+        recovery.timer = setTimeout(async () => {
+            recovery.timer = null;
+            try {
+                const result = await this.resolveUrl(song.mid, true);
+                // Song changed while resolving
+                if (this.recovery !== recovery || this.queue[this.currentIndex]?.mid !== song.mid) return;
+                if (!result.url) {
+                    this.recoverStream(resume);
+                    return;
+                }
+
+                this.engine.reloadSource(result.url);
+                this.showStreamQuality(result);
+                this.engine.addEventListener('loadedmetadata', () => {
+                    if (this.engine.active.url !== result.url || this.recovery !== recovery) return;
+                    const duration = this.audio.duration;
+                    if (position > 0) this.seek(Math.min(position, duration || position));
+                    if (resume) {
+                        this.engine.play().catch(e => console.warn('Resume after recovery failed:', e));
+                    } else {
+                        this.recovery = null;
+                    }
+                }, { once: true });
+            } catch (e) {
+                console.warn('Stream recovery failed:', e);
+                if (this.recovery === recovery) this.recoverStream(resume);
+            }
+        }, delay);
+    }
+
+    cancelRecovery() {
+        clearTimeout(this.stallTimer);
+        if (this.recovery) {
+            clearTimeout(this.recovery.timer);
+            this.recovery = null;
+        }
+    }
+
+    /**
+     * Preload the upcoming track near the end of the current one,
+     * and start the crossfade once the remaining time drops below it
+     */
+    checkUpcoming() {
+        const { currentTime, duration, playbackRate } = this.audio;
+        if (!duration || this.playMode === 'repeat_one' || this.autoAdvancing || this.abLoop.a !== null) return;
+
+        // Wall-clock seconds left at the current speed
+        const remaining = (duration - currentTime) / (playbackRate || 1);
+        if (remaining <= Math.max(PRELOAD_AHEAD_SECONDS, this.crossfade + 15)) {
+            this.preloadNext();
+        }
+
+        // The sleep timer stops at the end of this track, so don't fade into the next one
+        if (this.crossfade > 0 && remaining <= this.crossfade && !this.audio.paused && !this.sleepTimer.stopsAfterCurrent) {
+            const nextSong = this.queue[this.peekNextIndex()];
+            if (nextSong && this.engine.isPreloaded(nextSong.mid)) {
+                this.autoAdvancing = true;
+                this.next({ immediate: true, crossfade: this.crossfade });
+            }
+        }
+    }
+
+    async preloadNext() {
+        const song = this.queue[this.peekNextIndex()];
+        if (!song || this.preloadAttemptMid === song.mid || this.engine.isPreloaded(song.mid)) return;
+
+        this.preloadAttemptMid = song.mid;
+
+        try {
+            await this.loadFileSizes(song.mid);
+            const result = await this.resolveUrl(song.mid);
+            // Queue may have changed while resolving
+            if (result.url && this.preloadAttemptMid === song.mid) {
+                this.engine.preload(result.url, song.mid, { quality: result.quality, type: result.type });
+            }
+        } catch (e) {
+            console.warn('Preload next song failed:', e);
+        }
+    }
+
+    // ========== Multi-tab ==========
+
+    initTabs() {
+        const tabs = this.tabs;
+
+        tabs.getState = () => ({
+            mid: this.queue[this.currentIndex]?.mid || '',
+            time: this.audio.currentTime,
+            duration: this.audio.duration || 0,
+            paused: this.audio.paused,
+            volume: this.engine.volume,
+            muted: this.engine.muted
+        });
+
+        tabs.onCommand = (command, args) => this.handleRemoteCommand(command, args);
+        tabs.onState = (state) => this.applyRemoteState(state);
+        tabs.onRoleChange = (isRemote) => this.ui.setRemoteMode(isRemote);
+
+        // Another tab started playing: go quiet (engine directly, this tab is now a remote)
+        tabs.onYield = () => {
+            this.engine.pause();
+            this.cancelRecovery();
+        };
+
+        tabs.onHandover = (state) => {
+            this.remoteState = null;
+            if (state) {
+                this.engine.volume = state.volume;
+                this.engine.muted = state.muted;
+                this.resumeAt(state);
+            }
+        };
+
+        // Owner state changes are pushed right away, on top of the heartbeat
+        ['play', 'pause', 'seeked', 'trackchange'].forEach(type => {
+            this.engine.addEventListener(type, () => tabs.broadcastState());
+        });
+    }
+
+    /**
+     * Runs on the owning tab for commands from remote tabs
+     */
+    handleRemoteCommand(command, args) {
+        switch (command) {
+            case 'play':
+                this.play();
+                break;
+            case 'pause':
+                this.pause();
+                break;
+            case 'togglePlay':
+                this.togglePlay();
+                break;
+            case 'next':
+                this.next();
+                break;
+            case 'prev':
+                this.prev();
+                break;
+            case 'seek':
+                this.seek(args[0]);
+                break;
+            case 'playMid': {
+                // The queue edit that came with this may not have synced yet
+                this.syncQueueFromStorage();
+                const index = this.queue.findIndex(s => s.mid === args[0]);
+                if (index !== -1) this.playFromQueue(index);
+                break;
+            }
+            case 'bumpPending':
+                this.nextPendingCount++;
+                break;
+            case 'setVolume':
+                this.engine.volume = args[0];
+                this.engine.muted = args[1];
+                break;
+        }
+    }
+
+    /**
+     * Mirror the owning tab in this tab's UI
+     */
+    applyRemoteState(state) {
+        const previousMid = this.remoteState?.mid;
+        this.remoteState = state;
+
+        if (state.mid !== previousMid || this.queue[this.currentIndex]?.mid !== state.mid) {
+            this.currentIndex = this.queue.findIndex(s => s.mid === state.mid);
+            const song = this.queue[this.currentIndex];
+            if (song) this.ui.updateSongInfo(song);
+            this.ui.renderPlaylist(this.queue, this.currentIndex);
+        }
+
+        this.ui.setPlaying(!state.paused);
+        this.ui.updateProgress(state.time, state.duration);
+    }
+
+    /**
+     * Start a song from the queue at a position (taking over from another tab)
+     */
+    resumeAt(state) {
+        const index = this.queue.findIndex(s => s.mid === state.mid);
+        if (index === -1) {
+            this.playFromQueue(Math.max(0, this.currentIndex), false, { immediate: true });
+            return;
+        }
+
+        if (state.time > 0) {
+            this.engine.addEventListener('loadedmetadata', () => {
+                if (this.queue[this.currentIndex]?.mid !== state.mid) return;
+                this.audio.currentTime = Math.min(state.time, this.audio.duration || state.time);
+            }, { once: true });
+        }
+        this.playFromQueue(index, true, { immediate: true });
+    }
+
+    /**
+     * Play here instead of in the tab that owns audio
+     */
+    takeOverPlayback() {
+        if (this.tabs.takeOver()) {
+            this.ui.notify('已切换到此标签页播放');
+        }
+    }
+
+    /**
+     * Another tab edited the queue
+     */
+    syncQueueFromStorage() {
+        try {
+            const saved = localStorage.getItem('qqmusic_queue');
+            const queue = saved ? JSON.parse(saved) : [];
+            const currentMid = this.queue[this.currentIndex]?.mid;
+
+            this.queue = queue;
+            this.currentIndex = currentMid ? queue.findIndex(s => s.mid === currentMid) : -1;
+            this.shuffle.sync(this.queue, currentMid);
+            this.ui.renderPlaylist(this.queue, this.currentIndex);
+        } catch (e) {
+            console.warn('Failed to sync queue:', e);
+        }
+    }
+
+    // ========== A-B loop ==========
+
+    /**
+     * Shift+click on the waveform: first click sets A, second sets B, a third starts over
+     */
+    setLoopPoint(time) {
+        const { a, b } = this.abLoop;
+        if (a === null || b !== null) {
+            this.setLoopA(time);
+        } else if (time < a) {
+            this.setLoop(time, a);
+        } else {
+            this.setLoopB(time);
+        }
+    }
+
+    setLoopA(time = this.audio.currentTime) {
+        const b = this.abLoop.b !== null && this.abLoop.b - time >= MIN_LOOP_LENGTH ? this.abLoop.b : null;
+        this.setLoop(time, b);
+    }
+
+    setLoopB(time = this.audio.currentTime) {
+        if (this.abLoop.a === null) {
+            this.ui.notify('请先设置 A 点', 'info');
+            return;
+        }
+        if (time - this.abLoop.a < MIN_LOOP_LENGTH) return;
+        this.setLoop(this.abLoop.a, time);
+    }
+
+    setLoop(a, b) {
+        if (!this.audio.duration) return;
+        this.abLoop = { a, b };
+        this.updateLoopUI();
+
+        if (b !== null) {
+            this.ui.notify(`A-B 循环: ${formatTime(a)} - ${formatTime(b)}`);
+            this.watchLoop();
+            if (this.audio.currentTime < a || this.audio.currentTime > b) this.seek(a);
+        } else {
+            this.ui.notify(`A 点: ${formatTime(a)}`);
+        }
+    }
+
+    /**
+     * @param {boolean} silent - Track change resets without a notification
+     */
+    clearLoop(silent = false) {
+        if (this.abLoop.a === null) return;
+        this.abLoop = { a: null, b: null };
+        cancelAnimationFrame(this.loopFrame);
+        this.loopFrame = null;
+        this.updateLoopUI();
+        if (!silent) this.ui.notify('已取消 A-B 循环');
+    }
+
+    updateLoopUI() {
+        if (!this.ui.waveform) return;
+        const duration = this.audio.duration || 1;
+        const { a, b } = this.abLoop;
+        this.ui.waveform.setLoop(a !== null ? a / duration : null, b !== null ? b / duration : null);
+    }
+
+    checkLoop() {
+        const { a, b } = this.abLoop;
+        if (a !== null && b !== null && this.audio.currentTime >= b) {
+            this.seek(a);
+        }
+    }
+
+    /**
+     * timeupdate only fires a few times a second, so also check every frame while visible
+     */
+    watchLoop() {
+        if (this.loopFrame) return;
+        const tick = () => {
+            if (this.abLoop.b === null) {
+                this.loopFrame = null;
+                return;
+            }
+            if (!this.audio.paused) this.checkLoop();
+            this.loopFrame = requestAnimationFrame(tick);
+        };
+        this.loopFrame = requestAnimationFrame(tick);
+    }
+
+    // ========== Playback speed ==========
+
+    get speed() {
+        const song = this.queue[this.currentIndex];
+        return (song && this.songSpeeds[song.mid]) || 1;
+    }
+
+    /**
+     * Apply the current song's remembered speed to the active deck
+     */
+    applySpeed() {
+        this.engine.setPlaybackRate(this.speed, this.preservesPitch);
+        this.ui.updateSpeed(this.speed, this.preservesPitch);
+    }
+
+    setSpeed(rate) {
+        const song = this.queue[this.currentIndex];
+        if (!song) return;
+
+        const speed = Math.round(Math.max(MIN_SPEED, Math.min(MAX_SPEED, rate)) / SPEED_STEP) * SPEED_STEP;
+        const rounded = Math.round(speed * 100) / 100;
+        if (rounded === 1) {
+            delete this.songSpeeds[song.mid];
+        } else {
+            this.songSpeeds[song.mid] = rounded;
+        }
+
+        try {
+            localStorage.setItem('qqmusic_speed', JSON.stringify(this.songSpeeds));
+        } catch (e) {
+            console.warn('Failed to save speed:', e);
+        }
+        this.applySpeed();
+    }
+
+    stepSpeed(direction) {
+        this.setSpeed(this.speed + direction * SPEED_STEP);
+        this.ui.notify(`播放速度: ${this.speed}x`);
+    }
+
+    setPreservesPitch(enabled) {
+        this.preservesPitch = !!enabled;
+        localStorage.setItem('qqmusic_preserve_pitch', this.preservesPitch ? '1' : '0');
+        this.applySpeed();
+    }
+
+    // ========== Karaoke (vocal cut + key) ==========
+
+    get karaokeSettings() {
+        const song = this.queue[this.currentIndex];
+        return (song && this.songKaraoke[song.mid]) || { vocal: false, key: 0 };
+    }
+
+    /**
+     * Apply the current song's remembered karaoke settings
+     */
+    applyKaraoke() {
+        this.karaoke.set(this.karaokeSettings);
+        this.ui.updateKaraokeMode(this.karaoke.settings);
+    }
+
+    /**
+     * @param {Object} changes - { vocal?, key? }, merged into the current song's settings
+     */
+    setKaraoke(changes) {
+        const song = this.queue[this.currentIndex];
+        if (!song) return;
+
+        // Routes through Web Audio, which starts on a user gesture
+        this.engine.ensureContext();
+        this.karaoke.set({ ...this.karaokeSettings, ...changes });
+        const { vocal, key } = this.karaoke.settings;
+        if (!vocal && key === 0) {
+            delete this.songKaraoke[song.mid];
+        } else {
+            this.songKaraoke[song.mid] = { vocal, key };
+        }
+
+        try {
+            localStorage.setItem('qqmusic_karaoke', JSON.stringify(this.songKaraoke));
+        } catch (e) {
+            console.warn('Failed to save karaoke settings:', e);
+        }
+        this.ui.updateKaraokeMode(this.karaoke.settings);
+    }
+
+    stepKey(direction) {
+        this.setKaraoke({ key: this.karaokeSettings.key + direction });
+    }
+
+    // ========== Sleep timer ==========
+
+    /**
+     * @param {string|number} option - Minutes, 'track' (end of current track) or { tracks: n }
+     */
+    setSleepTimer(option) {
+        if (option === 'track') {
+            this.sleepTimer.startTracks(1);
+            this.ui.notify('将在当前歌曲播完后停止');
+        } else if (option?.tracks) {
+            this.sleepTimer.startTracks(option.tracks);
+            this.ui.notify(`将在 ${this.sleepTimer.tracksLeft} 首歌曲后停止`);
+        } else if (option > 0) {
+            this.sleepTimer.startDuration(option);
+            this.ui.notify(`将在 ${option} 分钟后停止播放`);
+        }
+    }
+
+    cancelSleepTimer() {
+        this.sleepTimer.cancel();
+        this.ui.notify('已取消睡眠定时');
+    }
+
+    setSleepFade(level) {
+        // Direct decks (stream without CORS) bypass sleepGain
+        this.engine.setDirectFade(level);
+        if (!this.sleepGain) return;
+        const ctx = this.sleepGain.context;
+        this.sleepGain.gain.setTargetAtTime(level, ctx.currentTime, 0.3);
+    }
+
+    /**
+     * Runs every second while the timer is set (and once when it is cancelled)
+     */
+    updateSleepTimer() {
+        this.setSleepFade(this.sleepTimer.fadeLevel(this.audio));
+        this.ui.updateSleepTimer(this.sleepTimer.active, this.sleepTimer.label(this.audio));
+    }
+
+    onSleepTimerExpired() {
+        this.pause();
+        // Cancelling restores the fade level, so the next manual play isn't silent
+        this.sleepTimer.cancel();
+        this.ui.notify('睡眠定时结束，已暂停播放', 'info');
+    }
+
+    // ========== Loudness normalization ==========
+
+    applyLoudness(song, deck, smooth = false) {
+        const db = this.normalizer.getGainDb(song.mid, getAlbumKey(song));
+        this.engine.setTrim(deck, db, smooth);
+    }
+
+    setNormalizeMode(mode) {
+        this.normalizer.setMode(mode);
+        const song = this.queue[this.currentIndex];
+        if (song) {
+            this.applyLoudness(song, this.engine.active, true);
+        }
+        if (!this.audio.paused) {
+            this.startLoudnessMeter();
+        }
+    }
+
+    /**
+     * Measure from the buffer the waveform decoded, and apply right away if it is the current song
+     */
+    async onTrackDecoded(buffer, mid) {
+        const song = this.queue.find(s => s.mid === mid);
+        if (!song || this.normalizer.cache[mid]?.peak || this.measuringMid === mid) return;
+
+        this.measuringMid = mid;
+        let result;
+        try {
+            result = await measureLoudness(buffer);
+        } finally {
+            if (this.measuringMid === mid) this.measuringMid = null;
+        }
+        if (!result || this.normalizer.cache[mid]?.peak) return;
+
+        this.normalizer.record(mid, result, getAlbumKey(song));
+        if (this.loudnessMeter?.mid === mid) {
+            this.stopLoudnessMeter(false);
+        }
+
+        const current = this.queue[this.currentIndex];
+        if (current?.mid === mid) {
+            this.applyLoudness(current, this.engine.active, true);
+        }
+    }
+
+    /**
+     * Fallback when the stream can't be decoded: meter it while it plays.
+     * The reading is cached and takes effect the next time the song plays.
+     */
+    startLoudnessMeter() {
+        const song = this.queue[this.currentIndex];
+        if (!song || this.normalizer.mode === 'off' || this.normalizer.has(song.mid)) return;
+        if (this.loudnessMeter?.mid === song.mid) return;
+
+        this.stopLoudnessMeter();
+        const { context } = this.engine;
+        const { source } = this.engine.active;
+        if (!context || !source) return;
+
+        this.loudnessMeter = new LiveLoudnessMeter(context, source);
+        this.loudnessMeter.mid = song.mid;
+        this.loudnessMeter.album = getAlbumKey(song);
+    }
+
+    stopLoudnessMeter(record = true) {
+        const meter = this.loudnessMeter;
+        if (!meter) return;
+        this.loudnessMeter = null;
+
+        const result = meter.stop();
+        if (record && result && meter.measuredSeconds >= MIN_LIVE_LOUDNESS_SECONDS) {
+            this.normalizer.record(meter.mid, result, meter.album);
+        }
+    }
+
+    setCrossfade(seconds) {
+        this.crossfade = Math.max(0, seconds);
+        localStorage.setItem('qqmusic_crossfade', String(this.crossfade));
+        this.updateCrossfadeUI();
+    }
+
+    cycleCrossfade() {
+        const idx = CROSSFADE_OPTIONS.indexOf(this.crossfade);
+        this.setCrossfade(CROSSFADE_OPTIONS[(idx + 1) % CROSSFADE_OPTIONS.length]);
+        this.ui.notify(this.crossfade > 0 ? `淡入淡出: ${this.crossfade} 秒` : '无缝播放', 'info');
+    }
+
+    updateCrossfadeUI() {
+        const label = document.getElementById('crossfade-label');
+        if (!label) return;
+        label.textContent = this.crossfade > 0 ? `${this.crossfade}s` : '无缝';
+        label.parentElement.title = this.crossfade > 0 ? `淡入淡出 ${this.crossfade} 秒` : '无缝播放';
+    }
+
+    async playSong(song, options = {}) {
         // Track the song we are trying to load
         this.loadingMid = song.mid;
 
         try {
             this.ui.updateSongInfo(song);
+            this.ui.updateQualityBadge(null);
+            this.ui.renderQualityMenu(this.preferredQuality(), this.fileSizes.get(song.mid));
+            this.loadFileSizes(song.mid);
 
             // Add to history
             if (window.historyManager) {
                 window.historyManager.add(song);
             }
 
-            // Get playURL
-            const preferFlac = document.getElementById('quality-value')?.value === 'flac';
-            const result = await getSongUrlWithFallback(song.mid, preferFlac);
+            // Use the standby deck if this song was preloaded, otherwise resolve the URL
+            const preloaded = this.engine.isPreloaded(song.mid);
+            const result = preloaded
+                ? this.engine.standbyMeta
+                : await this.resolveUrl(song.mid);
 
             // Race condition check
             if (this.loadingMid !== song.mid) {
@@ -1137,55 +2926,25 @@ class PlayerManager {
                 return;
             }
 
-            // Set src and play
-            this.audio.src = result.url;
-
-            // Load Waveform
-            if (this.ui.waveform) {
-                this.ui.waveform.load(result.url, song.mid);
-            }
-
-            // Extract dominant color from cover and update waveform
-            (async () => {
-                const coverCandidates = getCoverCandidates(song, 300);
-                let color = null;
-
-                // Try candidates in order
-                for (const url of coverCandidates) {
-                    const result = await extractDominantColor(url);
-                    if (!result.isFallback) {
-                        color = result;
-                        break;
-                    }
-                }
-
-                // If all failed or resulted in fallback, we use the default/last result
-                if (!color) {
-                    color = { hex: '#1db954' };
-                }
-
-                if (this.ui.waveform) {
-                    this.ui.waveform.setColor(color.hex);
-                }
-
-                // Update theme color
-                document.documentElement.style.setProperty('--accent', color.hex);
-
-                // Update hover color (same for now, or could use CSS filter)
-                document.documentElement.style.setProperty('--accent-hover', color.hex);
-            })();
-
-            // Update page title
-            const artistName = song.singers || song.singer?.map(s => s.name).join(', ') || song.singername || '未知歌手';
-            document.title = `${song.title || song.name} - ${artistName}`;
+            this.updateNowPlaying(song, result.url);
+            this.showStreamQuality(result);
 
             try {
-                await this.audio.play();
+                if (preloaded) {
+                    this.applyLoudness(song, this.engine.standby);
+                    await this.engine.handoff(options.crossfade || 0);
+                } else {
+                    this.applyLoudness(song, this.engine.active);
+                    this.engine.load(result.url);
+                    await this.engine.play();
+                }
             } catch (playError) {
                 if (playError.name === 'AbortError') {
                     console.log('Playback interrupted by new request');
                     return;
                 }
+                // The media error already started recovering this song
+                if (this.recovery?.mid === song.mid) return;
                 throw playError;
             }
 
@@ -1201,19 +2960,81 @@ class PlayerManager {
         }
     }
 
+    /**
+     * Waveform, accent color and page title for the track that is starting
+     */
+    updateNowPlaying(song, url) {
+        // Load Waveform
+        if (this.ui.waveform) {
+            this.ui.waveform.load(url, song.mid);
+        }
+
+        // Extract dominant color from cover and update waveform
+        (async () => {
+            const coverCandidates = getCoverCandidates(song, 300);
+            let color = null;
+
+            // Try candidates in order
+            for (const url of coverCandidates) {
+                const result = await extractDominantColor(url);
+                if (!result.isFallback) {
+                    color = result;
+                    break;
+                }
+            }
+
+            // If all failed or resulted in fallback, we use the default/last result
+            if (!color) {
+                color = { hex: '#1db954' };
+            }
+
+            if (this.ui.waveform) {
+                this.ui.waveform.setColor(color.hex);
+            }
+
+            // Update theme color
+            document.documentElement.style.setProperty('--accent', color.hex);
+
+            // Update hover color (same for now, or could use CSS filter)
+            document.documentElement.style.setProperty('--accent-hover', color.hex);
+        })();
+
+        // Update page title
+        const artistName = song.singers || song.singer?.map(s => s.name).join(', ') || song.singername || '未知歌手';
+        document.title = `${song.title || song.name} - ${artistName}`;
+    }
+
     play() {
+        if (this.tabs.send('play')) return;
+
+        // The tab that was playing went away: continue where it was
+        if (this.remoteState) {
+            const state = this.remoteState;
+            this.remoteState = null;
+            this.resumeAt(state);
+            return;
+        }
+
         if (this.audio.src) {
-            this.audio.play();
+            // Paused long enough for the vkey to lapse: fetch a fresh URL first
+            if (this.audio.paused && this.isUrlExpired(this.engine.active.url)) {
+                this.engine.ensureContext();
+                this.recoverStream(true);
+                return;
+            }
+            this.engine.play();
         } else if (this.queue.length > 0) {
-            this.playFromQueue(0);
+            this.playFromQueue(Math.max(0, this.currentIndex));
         }
     }
 
     pause() {
-        this.audio.pause();
+        if (this.tabs.send('pause')) return;
+        this.engine.pause();
     }
 
     togglePlay() {
+        if (this.tabs.send('togglePlay')) return;
         if (this.audio.paused) {
             this.play();
         } else {
@@ -1222,6 +3043,7 @@ class PlayerManager {
     }
 
     seek(time) {
+        if (this.tabs.send('seek', time)) return;
         this.audio.currentTime = time;
     }
 
@@ -1263,15 +3085,12 @@ class PlayerManager {
         }
 
         this.nextPendingCount++;
+        this.tabs.send('bumpPending');
         this.saveQueue();
         this.ui.renderPlaylist(this.queue, this.currentIndex);
         this.ui.notify(`下一首播放: ${song.title || song.name}`);
     }
 
-    saveQueue() {
-        localStorage.setItem('qqmusic_queue', JSON.stringify(this.queue));
-    }
-
     replaceQueue(newQueue) {
         this.queue = newQueue;
         this.currentIndex = 0;
@@ -1281,22 +3100,36 @@ class PlayerManager {
         this.ui.notify(`已播放歌单，共 ${newQueue.length} 首`);
     }
 
-    playFromQueue(index, maintainPending = false) {
+    /**
+     * @param {number} index - Queue index
+     * @param {boolean} maintainPending - Keep the "Add to Next" counter
+     * @param {Object} options - { immediate: skip debounce (auto-advance), crossfade: seconds, fromHistory: stepping back }
+     */
+    playFromQueue(index, maintainPending = false, options = {}) {
         if (index < 0 || index >= this.queue.length) return;
+        if (this.tabs.send('playMid', this.queue[index].mid)) return;
 
         // Reset the "next pending" counter if not maintaining (e.g., manual click)
         if (!maintainPending) {
             this.nextPendingCount = 0;
         }
 
+        const song = this.queue[index];
+        if (!options.fromHistory) {
+            this.shuffle.visit(this.queue[this.currentIndex]?.mid, song.mid);
+        }
+
         this.currentIndex = index;
-        localStorage.setItem('qqmusic_currentIndex', index.toString());
+        this.saveSession();
 
-        const song = this.queue[index];
         this.ui.updateSongInfo(song);
         this.ui.renderPlaylist(this.queue, this.currentIndex);
 
-        this.playSongDebounced(song);
+        if (options.immediate) {
+            this.playSong(song, options);
+        } else {
+            this.playSongDebounced(song, options);
+        }
     }
 
     removeFromQueue(index) {
@@ -1323,86 +3156,435 @@ class PlayerManager {
         this.ui.renderPlaylist(this.queue, this.currentIndex);
     }
 
-    next() {
+    get isShuffle() {
+        return this.playMode === 'shuffle' || this.playMode === 'smart_shuffle';
+    }
+
+    /**
+     * Index that next() will play (used for preloading).
+     * In shuffle mode this is the head of the shuffle order, so repeated peeks agree.
+     */
+    peekNextIndex() {
+        if (this.queue.length === 0) return -1;
+
+        // Prioritize "Add to Next" songs even in shuffle mode
+        if (this.nextPendingCount > 0 || !this.isShuffle) {
+            return (this.currentIndex + 1) % this.queue.length;
+        }
+
+        const mid = this.shuffle.peek(this.queue, this.queue[this.currentIndex]?.mid);
+        const index = this.queue.findIndex(s => s.mid === mid);
+        return index !== -1 ? index : (this.currentIndex + 1) % this.queue.length;
+    }
+
+    next(options = {}) {
         if (this.queue.length === 0) return;
+        if (this.tabs.send('next')) return;
 
-        let nextIndex;
+        const nextIndex = this.peekNextIndex();
         let maintainPending = false;
 
-        // Prioritize "Add to Next" songs even in shuffle mode
         if (this.nextPendingCount > 0) {
-            nextIndex = (this.currentIndex + 1) % this.queue.length;
             this.nextPendingCount--;
             maintainPending = true;
-        } else if (this.playMode === 'shuffle') {
-            nextIndex = Math.floor(Math.random() * this.queue.length);
-        } else {
-            nextIndex = (this.currentIndex + 1) % this.queue.length;
         }
 
-        this.playFromQueue(nextIndex, maintainPending);
+        this.playFromQueue(nextIndex, maintainPending, options);
     }
 
     prev() {
         if (this.queue.length === 0) return;
+        if (this.tabs.send('prev')) return;
 
         // Reset priority on prev? Usually yes, previous breaks the flow
         this.nextPendingCount = 0;
 
-        let prevIndex;
-        if (this.playMode === 'shuffle') {
-            prevIndex = Math.floor(Math.random() * this.queue.length);
-        } else {
-            prevIndex = (this.currentIndex - 1 + this.queue.length) % this.queue.length;
+        // Shuffle steps back through what was actually played
+        if (this.isShuffle) {
+            const prevMid = this.shuffle.back(this.queue[this.currentIndex]?.mid);
+            const prevIndex = this.queue.findIndex(s => s.mid === prevMid);
+            if (prevIndex !== -1) {
+                this.playFromQueue(prevIndex, false, { fromHistory: true });
+            } else {
+                // Nothing earlier in this session: restart the current song
+                this.seek(0);
+            }
+            return;
+        }
+
+        const prevIndex = (this.currentIndex - 1 + this.queue.length) % this.queue.length;
+        this.playFromQueue(prevIndex);
+    }
+
+    toggleMode() {
+        const modes = ['sequence', 'repeat_one', 'shuffle', 'smart_shuffle'];
+        const currentIdx = modes.indexOf(this.playMode);
+        this.playMode = modes[(currentIdx + 1) % modes.length];
+
+        localStorage.setItem('qqmusic_playmode', this.playMode);
+        this.updateModeUI();
+
+        // Entering shuffle starts a fresh cycle from the current song
+        if (this.isShuffle) {
+            this.shuffle.smart = this.playMode === 'smart_shuffle';
+            this.shuffle.reset(this.queue, this.queue[this.currentIndex]?.mid);
         }
+        this.engine.clearPreload();
+        this.preloadAttemptMid = null;
+
+        const modeNames = { sequence: '顺序播放', repeat_one: '单曲循环', shuffle: '随机播放', smart_shuffle: '智能随机' };
+        console.log(`播放模式: ${modeNames[this.playMode]}`);
+    }
+
+    updateModeUI() {
+        const modeBtn = document.getElementById('mode-btn');
+        if (!modeBtn) return;
+
+        switch (this.playMode) {
+            case 'sequence':
+                modeBtn.innerHTML = '<i class="fas fa-repeat"></i>';
+                modeBtn.title = '顺序播放';
+                break;
+            case 'repeat_one':
+                modeBtn.innerHTML = '<i class="fas fa-repeat"></i><span style="font-size:10px;position:absolute;">1</span>';
+                modeBtn.title = '单曲循环';
+                break;
+            case 'shuffle':
+                modeBtn.innerHTML = '<i class="fas fa-shuffle"></i>';
+                modeBtn.title = '随机播放';
+                break;
+            case 'smart_shuffle':
+                modeBtn.innerHTML = '<i class="fas fa-shuffle"></i><span style="font-size:9px;position:absolute;">智</span>';
+                modeBtn.title = '智能随机（同一歌手的歌曲分散播放）';
+                break;
+        }
+    }
+}
+
+// Search Manager Class
+class SearchManager {
+    constructor(ui) {
+        this.ui = ui;
+        this.currentKeyword = '';
+        this.currentPage = 1;
+        this.isLoading = false;
+        this.hasMore = true;
+        this.perPage = 60;
+        this.requestSize = this.perPage; // Page size of the current keyword; fixed so page numbers line up
+        this.type = 'song'; // Key of SearchType
+        this.searchToken = 0; // Drops responses for a keyword or tab that was replaced
+        this.recentSearches = []; // Newest first
+        this.hotKeys = null; // Fetched once per session
+        this.filters = { ...DEFAULT_SEARCH_FILTERS };
+        this.songResults = []; // Every song page loaded for the current keyword, unfiltered
+        this.emptyPages = 0; // Consecutive pages the filters emptied
+
+        this.loadRecentSearches();
+        this.loadFilters();
+        this.setupInfiniteScroll();
+        this.initTabs();
+        this.initFilters();
+    }
+
+    initTabs() {
+        const tabs = document.getElementById('search-tabs');
+        if (!tabs) return;
+
+        tabs.innerHTML = Object.entries(SearchType)
+            .map(([type, t]) => `<button class="search-tab${type === this.type ? ' active' : ''}" data-type="${type}">${t.label}</button>`)
+            .join('');
+
+        tabs.onclick = (e) => {
+            const tab = e.target.closest('[data-type]');
+            if (tab) this.setType(tab.dataset.type);
+        };
+    }
+
+    setType(type) {
+        if (type === this.type || !SearchType[type]) return;
+        this.type = type;
+        document.querySelectorAll('#search-tabs [data-type]').forEach(el => {
+            el.classList.toggle('active', el.dataset.type === type);
+        });
+        this.updateFilterBar();
+        if (this.currentKeyword) this.search(this.currentKeyword);
+    }
+
+    loadFilters() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('qqmusic_search_filters'));
+            if (saved) this.filters = { ...DEFAULT_SEARCH_FILTERS, ...saved };
+        } catch (e) {
+            console.warn('Failed to load search filters:', e);
+        }
+    }
+
+    saveFilters() {
+        try {
+            localStorage.setItem('qqmusic_search_filters', JSON.stringify(this.filters));
+        } catch (e) {
+            console.warn('Failed to save search filters:', e);
+        }
+    }
+
+    initFilters() {
+        const bar = document.getElementById('search-filters');
+        if (!bar) return;
+
+        const fill = (id, options) => {
+            document.getElementById(id).innerHTML = Object.entries(options)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+        };
+        fill('search-filter-duration', Object.fromEntries(Object.entries(DURATION_RANGES).map(([k, r]) => [k, r.label])));
+        fill('search-filter-quality', Object.fromEntries(Object.entries(QUALITY_FILTERS).map(([k, q]) => [k, q.label])));
+        fill('search-sort', SEARCH_SORTS);
+
+        document.getElementById('search-filter-duration').onchange = (e) => this.setFilters({ duration: e.target.value });
+        document.getElementById('search-filter-quality').onchange = (e) => this.setFilters({ quality: e.target.value });
+        document.getElementById('search-sort').onchange = (e) => this.setFilters({ sort: e.target.value });
+        document.getElementById('search-filter-free').onchange = (e) => this.setFilters({ freeOnly: e.target.checked });
+        document.getElementById('search-filter-versions').onchange = (e) => this.setFilters({ hideVersions: e.target.checked });
+        document.getElementById('search-filter-reset').onclick = () => this.setFilters({ ...DEFAULT_SEARCH_FILTERS });
+
+        this.updateFilterBar();
+    }
+
+    updateFilterBar() {
+        const bar = document.getElementById('search-filters');
+        if (!bar) return;
+
+        // Filters only apply to songs
+        bar.hidden = this.type !== 'song';
+        document.getElementById('search-filter-duration').value = this.filters.duration;
+        document.getElementById('search-filter-quality').value = this.filters.quality;
+        document.getElementById('search-sort').value = this.filters.sort;
+        document.getElementById('search-filter-free').checked = this.filters.freeOnly;
+        document.getElementById('search-filter-versions').checked = this.filters.hideVersions;
+        document.getElementById('search-filter-reset').hidden = isDefaultFilters(this.filters);
+
+        const hidden = this.songResults.length - this.songResults.filter(song => matchesFilters(song, this.filters)).length;
+        document.getElementById('search-filter-count').textContent = hidden > 0 ? `已隐藏 ${hidden} 首` : '';
+    }
+
+    /**
+     * Filters apply to the pages already loaded right away, and to every page loadMore fetches.
+     * SearchCgiService has no duration, pay, quality or version parameters and no sort other than
+     * relevance, so the only part the request carries is a bigger page (see pageSize); the rest is
+     * applied here.
+     */
+    setFilters(changes) {
+        this.filters = { ...this.filters, ...changes };
+        this.saveFilters();
+        this.updateFilterBar();
+
+        if (this.type === 'song' && this.currentKeyword && this.songResults.length > 0 && !this.isLoading) {
+            this.emptyPages = 0;
+            this.renderSongResults([], false);
+        }
+    }
+
+    /**
+     * Render loaded songs through the filters.
+     * Relevance order appends just the new page; other sorts re-render the whole list,
+     * since a new page can sort in anywhere.
+     * @param {Array} page - Songs just fetched (already in songResults)
+     * @param {boolean} append
+     */
+    renderSongResults(page, append) {
+        const { sort } = this.filters;
+        const incremental = append && sort === 'relevance';
+        const source = incremental ? page : this.songResults;
+        const visible = sortSongs(source.filter(song => matchesFilters(song, this.filters)), sort);
+
+        this.updateFilterBar();
+
+        if (visible.length > 0) {
+            this.emptyPages = 0;
+            this.renderResults(visible, incremental);
+            return;
+        }
+
+        if (!incremental) {
+            this.ui.els.resultsList.innerHTML = '<div class="empty-state"><p>没有符合筛选条件的结果</p></div>';
+        }
+
+        // Nothing new to scroll to, so infinite scroll would never fire: fetch on
+        if (this.hasMore && this.emptyPages < MAX_FILTERED_EMPTY_PAGES) {
+            this.emptyPages++;
+            this.loadMore();
+        }
+    }
+
+    /**
+     * Results per page: songs are a compact list, the other types are cards.
+     * With song filters on, ask for bigger pages so a filtered page still fills the screen.
+     */
+    get pageSize() {
+        if (this.type !== 'song') return CARD_PAGE_SIZE;
+        const filtering = !isDefaultFilters({ ...this.filters, sort: DEFAULT_SEARCH_FILTERS.sort });
+        return filtering ? FILTERED_PAGE_SIZE : this.perPage;
+    }
+
+    // ========== 最近搜索 / 热门搜索 ==========
+
+    loadRecentSearches() {
+        try {
+            this.recentSearches = JSON.parse(localStorage.getItem('qqmusic_search_history')) || [];
+        } catch (e) {
+            console.warn('Failed to load search history:', e);
+        }
+    }
+
+    saveRecentSearches() {
+        try {
+            localStorage.setItem('qqmusic_search_history', JSON.stringify(this.recentSearches));
+        } catch (e) {
+            console.warn('Failed to save search history:', e);
+        }
+    }
+
+    addRecentSearch(keyword) {
+        this.recentSearches = [keyword, ...this.recentSearches.filter(k => k !== keyword)].slice(0, MAX_RECENT_SEARCHES);
+        this.saveRecentSearches();
+    }
+
+    removeRecentSearch(keyword) {
+        this.recentSearches = this.recentSearches.filter(k => k !== keyword);
+        this.saveRecentSearches();
+        this.renderDiscover();
+    }
 
-        this.playFromQueue(prevIndex);
+    clearRecentSearches() {
+        this.recentSearches = [];
+        this.saveRecentSearches();
+        this.renderDiscover();
     }
 
-    toggleMode() {
-        const modes = ['sequence', 'repeat_one', 'shuffle'];
-        const currentIdx = modes.indexOf(this.playMode);
-        this.playMode = modes[(currentIdx + 1) % modes.length];
+    /**
+     * Fill the search box and search, as if the keyword was typed
+     */
+    searchKeyword(keyword) {
+        this.ui.els.searchInput.value = keyword;
+        document.getElementById('search-clear').style.display = 'block';
+        this.search(keyword);
+    }
 
-        localStorage.setItem('qqmusic_playmode', this.playMode);
-        this.updateModeUI();
+    /**
+     * Empty search state: recent searches and trending keywords
+     */
+    renderDiscover() {
+        const list = this.ui.els.resultsList;
+        list.innerHTML = '';
+
+        const discover = document.createElement('div');
+        discover.className = 'search-discover';
+        list.appendChild(discover);
+
+        if (this.recentSearches.length > 0) {
+            const section = this.createDiscoverSection('最近搜索');
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'discover-clear';
+            clearBtn.innerHTML = '<i class="fas fa-trash-alt"></i> 清空';
+            clearBtn.onclick = () => this.clearRecentSearches();
+            section.querySelector('.discover-header').appendChild(clearBtn);
+
+            const chips = document.createElement('div');
+            chips.className = 'recent-chips';
+            this.recentSearches.forEach(keyword => {
+                const chip = document.createElement('div');
+                chip.className = 'recent-chip';
+                chip.title = keyword;
+
+                const text = document.createElement('span');
+                text.textContent = keyword;
+                const remove = document.createElement('button');
+                remove.className = 'recent-remove';
+                remove.title = '删除';
+                remove.innerHTML = '<i class="fas fa-times"></i>';
+                remove.onclick = (e) => {
+                    e.stopPropagation();
+                    this.removeRecentSearch(keyword);
+                };
 
-        const modeNames = { sequence: '顺序播放', repeat_one: '单曲循环', shuffle: '随机播放' };
-        console.log(`播放模式: ${modeNames[this.playMode]}`);
-    }
+                chip.append(text, remove);
+                chip.onclick = () => this.searchKeyword(keyword);
+                chips.appendChild(chip);
+            });
+            section.appendChild(chips);
+            discover.appendChild(section);
+        }
 
-    updateModeUI() {
-        const modeBtn = document.getElementById('mode-btn');
-        if (!modeBtn) return;
+        const hotSection = this.createDiscoverSection('热门搜索');
+        const hotList = document.createElement('div');
+        hotList.className = 'hot-list';
+        hotSection.appendChild(hotList);
+        discover.appendChild(hotSection);
+
+        const renderHot = (keys) => {
+            hotList.innerHTML = '';
+            if (keys.length === 0) {
+                hotSection.remove();
+                if (this.recentSearches.length === 0) {
+                    list.innerHTML = `
+                        <div class="empty-state">
+                            <i class="fas fa-music"></i>
+                            <p>输入关键词开始搜索</p>
+                        </div>
+                    `;
+                }
+                return;
+            }
+            keys.slice(0, MAX_HOT_KEYS).forEach((key, i) => {
+                const item = document.createElement('button');
+                item.className = `hot-item${i < 3 ? ' top' : ''}`;
+
+                const rank = document.createElement('span');
+                rank.className = 'hot-rank';
+                rank.textContent = i + 1;
+                const title = document.createElement('span');
+                title.className = 'hot-title';
+                title.textContent = key.title;
+                item.append(rank, title);
+                if (key.description) {
+                    const desc = document.createElement('span');
+                    desc.className = 'hot-desc';
+                    desc.textContent = key.description;
+                    item.appendChild(desc);
+                }
 
-        switch (this.playMode) {
-            case 'sequence':
-                modeBtn.innerHTML = '<i class="fas fa-repeat"></i>';
-                modeBtn.title = '顺序播放';
-                break;
-            case 'repeat_one':
-                modeBtn.innerHTML = '<i class="fas fa-repeat"></i><span style="font-size:10px;position:absolute;">1</span>';
-                modeBtn.title = '单曲循环';
-                break;
-            case 'shuffle':
-                modeBtn.innerHTML = '<i class="fas fa-shuffle"></i>';
-                modeBtn.title = '随机播放';
-                break;
+                item.onclick = () => this.searchKeyword(key.query);
+                hotList.appendChild(item);
+            });
+        };
+
+        if (this.hotKeys) {
+            renderHot(this.hotKeys);
+            return;
         }
-    }
-}
 
-// Search Manager Class
-class SearchManager {
-    constructor(ui) {
-        this.ui = ui;
-        this.currentKeyword = '';
-        this.currentPage = 1;
-        this.isLoading = false;
-        this.hasMore = true;
-        this.perPage = 60;
+        hotList.innerHTML = '<div class="loading-more"><i class="fas fa-spinner fa-spin"></i><span>正在加载...</span></div>';
+        getHotKeys()
+            .then(keys => {
+                this.hotKeys = keys;
+                return keys;
+            })
+            .catch(e => {
+                console.warn('Failed to load hot keys:', e);
+                return [];
+            })
+            .then(keys => {
+                // A search may have replaced the panel meanwhile
+                if (hotList.isConnected) renderHot(keys);
+            });
+    }
 
-        this.setupInfiniteScroll();
+    createDiscoverSection(title) {
+        const section = document.createElement('div');
+        section.className = 'discover-section';
+        section.innerHTML = '<div class="discover-header"><h3></h3></div>';
+        section.querySelector('h3').textContent = title;
+        return section;
     }
 
     setupInfiniteScroll() {
@@ -1430,23 +3612,34 @@ class SearchManager {
         return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
     }
 
+    formatCount(count) {
+        if (count >= 100000000) return `${(count / 100000000).toFixed(1)}亿`;
+        if (count >= 10000) return `${(count / 10000).toFixed(1)}万`;
+        return String(count);
+    }
+
     async search(keyword, page = 1, append = false) {
+        const token = ++this.searchToken;
+        const type = this.type;
+
         if (!keyword.trim()) {
-            this.ui.els.resultsList.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-music"></i>
-                    <p>输入关键词开始搜索</p>
-                </div>
-            `;
+            this.currentKeyword = '';
+            this.isLoading = false;
+            this.renderDiscover();
             this.ui.els.pagination.style.display = 'none';
             return;
         }
 
         // 新搜索时重置状态
         if (!append) {
+            this.addRecentSearch(keyword.trim());
             this.currentKeyword = keyword;
             this.currentPage = 1;
             this.hasMore = true;
+            this.songResults = [];
+            this.emptyPages = 0;
+            this.requestSize = this.pageSize;
+            this.updateFilterBar();
             this.ui.els.resultsList.innerHTML = '';
             this.ui.els.loadingSpinner.style.display = 'flex';
         } else {
@@ -1457,7 +3650,8 @@ class SearchManager {
         this.isLoading = true;
 
         try {
-            const results = await searchByType(keyword, this.perPage, page);
+            const results = await searchByType(keyword, type, this.requestSize, page);
+            if (token !== this.searchToken) return;
 
             this.hideLoadingMore();
             if (!append) {
@@ -1474,15 +3668,21 @@ class SearchManager {
             }
 
             // 如果返回数量小于请求数量，说明没有更多了
-            if (results.length < this.perPage) {
+            if (results.length < this.requestSize) {
                 this.hasMore = false;
             }
 
             this.currentPage = page;
-            this.renderResults(results, append);
+            if (type === 'song') {
+                this.songResults = append ? [...this.songResults, ...results] : results;
+                this.renderSongResults(results, append);
+            } else {
+                this.renderResults(results, append);
+            }
             this.ui.els.pagination.style.display = 'none'; // 隐藏分页，使用无限滚动
 
         } catch (error) {
+            if (token !== this.searchToken) return;
             console.error('Search failed:', error);
             this.hideLoadingMore();
             if (!append) {
@@ -1516,6 +3716,11 @@ class SearchManager {
             this.ui.els.resultsList.innerHTML = '';
         }
 
+        if (this.type !== 'song') {
+            this.renderCards(results);
+            return;
+        }
+
         results.forEach(song => {
             const singers = song.singer?.map(s => s.name).join(', ') || '';
             const coverCandidates = getCoverCandidates({ album_mid: song.album?.mid, vs: song.vs }, 300);
@@ -1557,15 +3762,7 @@ class SearchManager {
             // Set src AFTER attaching error handler to avoid race condition
             img.src = coverCandidates[0];
 
-            const songData = {
-                mid: song.mid,
-                name: song.title || song.name,
-                singers: singers,
-                album: song.album?.name || '',
-                album_mid: song.album?.mid || '',
-                vs: song.vs || [],
-                interval: song.interval || 0
-            };
+            const songData = this.toSongData(song);
 
             // 点击整行播放（静默添加，不显示提示）
             item.onclick = () => {
@@ -1583,6 +3780,153 @@ class SearchManager {
         });
     }
 
+    /**
+     * Album / singer / playlist / MV results as a card grid
+     */
+    renderCards(results) {
+        const list = this.ui.els.resultsList;
+        let grid = list.querySelector('.result-grid');
+        if (!grid) {
+            grid = document.createElement('div');
+            grid.className = 'result-grid';
+            list.appendChild(grid);
+        }
+
+        const renderers = {
+            singer: (item) => ({
+                info: [
+                    item.songCount != null ? `${item.songCount} 首歌曲` : '',
+                    item.albumCount != null ? `${item.albumCount} 张专辑` : ''
+                ].filter(Boolean).join(' · '),
+                fallback: DEFAULT_COVER
+            }),
+            album: (item) => ({
+                info: [item.singer, item.publishDate].filter(Boolean).join(' · '),
+                fallback: DEFAULT_COVER
+            }),
+            playlist: (item) => ({
+                info: [
+                    item.songCount != null ? `${item.songCount}首` : '',
+                    item.creator ? `by ${item.creator}` : ''
+                ].filter(Boolean).join(' · '),
+                fallback: 'https://y.gtimg.cn/mediastyle/global/img/playlist_300.png'
+            }),
+            mv: (item) => ({
+                info: [item.singer, item.playCount ? `${this.formatCount(item.playCount)} 次播放` : ''].filter(Boolean).join(' · '),
+                fallback: DEFAULT_COVER
+            })
+        };
+        const render = renderers[this.type];
+        const type = this.type;
+
+        results.forEach(item => {
+            const { info, fallback } = render(item);
+            const card = document.createElement('div');
+            card.className = `playlist-card result-card ${type}-card`;
+            card.innerHTML = `
+                <div class="card-cover">
+                    <img loading="lazy">
+                    <div class="play-overlay"><i class="fas ${type === 'mv' ? 'fa-external-link-alt' : 'fa-play'}"></i></div>
+                </div>
+                <div class="card-title"></div>
+                <div class="card-info"></div>
+            `;
+            card.querySelector('.card-title').textContent = item.name;
+            card.querySelector('.card-title').title = item.name;
+            card.querySelector('.card-info').textContent = info;
+
+            const img = card.querySelector('img');
+            img.onerror = function () {
+                this.onerror = null;
+                this.src = fallback;
+            };
+            img.src = item.cover || fallback;
+
+            card.onclick = () => this.openResult(type, item);
+            grid.appendChild(card);
+        });
+    }
+
+    /**
+     * Open a card result: playlists, albums and singers in the detail page, MVs on y.qq.com
+     */
+    async openResult(type, item) {
+        if (type === 'mv') {
+            if (item.vid) window.open(`https://y.qq.com/n/ryqq/mv/${item.vid}`, '_blank', 'noopener');
+            return;
+        }
+
+        const normalize = (s) => window.savedPlaylistManager.normalizeSong(s);
+        this.ui.showLoading(true);
+        try {
+            if (type === 'playlist') {
+                const data = await getSongListDetail(item.id);
+                const songs = data.songs.map(normalize);
+                this.ui.showPlaylistDetail({
+                    id: item.id,
+                    name: item.name || data.info.dissname,
+                    cover: item.cover || data.info.logo || '',
+                    songs,
+                    count: songs.length
+                }, 'search');
+            } else if (type === 'album') {
+                const { songs } = await getAlbumSongs(item.mid);
+                this.ui.showPlaylistDetail({
+                    name: item.name,
+                    cover: item.cover,
+                    songs: songs.map(normalize),
+                    meta: ['专辑', item.singer, item.publishDate, `${songs.length}首歌曲`].filter(Boolean).join(' · ')
+                }, 'search');
+            } else if (type === 'singer') {
+                const { songs, total } = await getSingerSongs(item.mid);
+                this.ui.showPlaylistDetail({
+                    name: item.name,
+                    cover: item.cover,
+                    songs: songs.map(normalize),
+                    meta: `歌手 · 热门歌曲 ${songs.length}${total > songs.length ? ` / 共 ${total}` : ''} 首`
+                }, 'search');
+            }
+        } catch (e) {
+            console.error('Open search result failed:', e);
+            this.ui.notify('加载失败，请稍后重试', 'error');
+        } finally {
+            this.ui.showLoading(false);
+        }
+    }
+
+    /**
+     * Search / song-detail track -> the song shape the queue stores
+     */
+    toSongData(song) {
+        return {
+            mid: song.mid,
+            name: song.title || song.name,
+            singers: song.singer?.map(s => s.name).join(', ') || '',
+            album: song.album?.name || '',
+            album_mid: song.album?.mid || '',
+            vs: song.vs || [],
+            interval: song.interval || 0
+        };
+    }
+
+    /**
+     * Play (or queue next) a song picked from the suggestions, which only carry its mid
+     * @param {string} mid
+     * @param {boolean} queue - Add as next instead of playing now
+     */
+    async playSuggestedSong(mid, queue = false) {
+        const detail = await getSongDetail(mid);
+        if (!detail?.track_info?.mid) throw new Error('Song detail missing');
+
+        const songData = this.toSongData(detail.track_info);
+        if (queue) {
+            window.player.addNext(songData);
+        } else {
+            window.player.addToQueue(songData, true);
+            window.player.playFromQueue(window.player.queue.length - 1);
+        }
+    }
+
     updatePagination() {
         // 不再使用分页，改用无限滚动
         this.ui.els.pagination.style.display = 'none';
@@ -1623,6 +3967,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('prev-btn').onclick = () => player.prev();
     document.getElementById('next-btn').onclick = () => player.next();
     document.getElementById('mode-btn').onclick = () => player.toggleMode();
+    document.getElementById('crossfade-toggle').onclick = () => player.cycleCrossfade();
+
+    ui.initEqualizerPanel(player.equalizer);
+
+    // Loudness normalization mode (in the equalizer panel)
+    const normalizeSelect = document.getElementById('normalize-mode');
+    if (normalizeSelect) {
+        normalizeSelect.value = player.normalizer.mode;
+        normalizeSelect.onchange = () => player.setNormalizeMode(normalizeSelect.value);
+    }
 
     // Volume controls
     // Volume controls
@@ -1637,34 +3991,40 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Init volume slider
     if (volSlider) {
-        volSlider.value = player.audio.volume;
+        volSlider.value = player.engine.volume;
         updateVolSlider();
 
         // Slider input
         volSlider.oninput = (e) => {
-            player.audio.volume = e.target.value;
+            player.engine.volume = e.target.value;
             updateVolSlider();
         };
     }
 
     document.getElementById('vol-down').onclick = () => {
-        player.audio.volume = Math.max(0, player.audio.volume - 0.1);
+        player.engine.volume = Math.max(0, player.engine.volume - 0.1);
         if (volSlider) {
-            volSlider.value = player.audio.volume;
+            volSlider.value = player.engine.volume;
             updateVolSlider();
         }
     };
 
     document.getElementById('vol-up').onclick = () => {
-        player.audio.volume = Math.min(1, player.audio.volume + 0.1);
+        player.engine.volume = Math.min(1, player.engine.volume + 0.1);
         if (volSlider) {
-            volSlider.value = player.audio.volume;
+            volSlider.value = player.engine.volume;
             updateVolSlider();
         }
     };
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Timing editor shortcuts (Enter to stamp etc.) take precedence
+        if (lyricEditor.handleKey(e)) {
+            e.preventDefault();
+            return;
+        }
+
         // Ignore if typing in input
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
@@ -1683,7 +4043,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                     player.prev();
                 } else {
                     // Seek backward 5s
-                    player.seek(Math.max(0, player.audio.currentTime - 5));
+                    player.seek(Math.max(0, player.currentTime - 5));
                 }
                 break;
             case 'ArrowRight':
@@ -1691,44 +4051,97 @@ document.addEventListener('DOMContentLoaded', async () => {
                     player.next();
                 } else {
                     // Seek forward 5s
-                    player.seek(Math.min(player.audio.duration || 0, player.audio.currentTime + 5));
+                    player.seek(Math.min(player.duration || 0, player.currentTime + 5));
                 }
                 break;
             case 'ArrowUp':
                 e.preventDefault();
-                player.audio.volume = Math.min(1, player.audio.volume + 0.1);
+                player.engine.volume = Math.min(1, player.engine.volume + 0.1);
                 if (typeof volSlider !== 'undefined' && volSlider) {
-                    volSlider.value = player.audio.volume;
+                    volSlider.value = player.engine.volume;
                     updateVolSlider();
                 }
                 break;
             case 'ArrowDown':
                 e.preventDefault();
-                player.audio.volume = Math.max(0, player.audio.volume - 0.1);
+                player.engine.volume = Math.max(0, player.engine.volume - 0.1);
                 if (typeof volSlider !== 'undefined' && volSlider) {
-                    volSlider.value = player.audio.volume;
+                    volSlider.value = player.engine.volume;
                     updateVolSlider();
                 }
                 break;
             case 'KeyM':
-                player.audio.muted = !player.audio.muted;
+                player.engine.muted = !player.engine.muted;
+                break;
+            case 'BracketLeft':
+                player.setLoopA();
+                break;
+            case 'BracketRight':
+                player.setLoopB();
+                break;
+            case 'Backslash':
+                player.clearLoop();
+                break;
+            case 'Minus':
+                // Leave Ctrl/Cmd + - to browser zoom
+                if (e.ctrlKey || e.metaKey || e.altKey) break;
+                player.stepSpeed(-1);
+                break;
+            case 'Equal':
+                if (e.ctrlKey || e.metaKey || e.altKey) break;
+                player.stepSpeed(1);
+                break;
+            case 'Comma':
+                if (ui.els.immersivePlayer.classList.contains('active')) {
+                    ui.stepLyricOffset(-1);
+                }
+                break;
+            case 'Period':
+                if (ui.els.immersivePlayer.classList.contains('active')) {
+                    ui.stepLyricOffset(1);
+                }
                 break;
         }
     });
 
-    // Quality toggle
-    document.getElementById('quality-toggle').onclick = () => {
-        const qualityValue = document.getElementById('quality-value');
-        const qualityLabel = document.getElementById('quality-label');
+    // Quality menu
+    ui.initQualityMenu(quality => player.setQuality(quality));
 
-        if (qualityValue.value === 'flac') {
-            qualityValue.value = 'mp3';
-            qualityLabel.textContent = 'MP3';
-        } else {
-            qualityValue.value = 'flac';
-            qualityLabel.textContent = 'FLAC';
+    // Remote mode: move playback into this tab
+    const remoteBadge = document.getElementById('remote-badge');
+    if (remoteBadge) {
+        remoteBadge.onclick = () => player.takeOverPlayback();
+    }
+
+    // Queue, history and saved playlists edited in another tab
+    window.addEventListener('storage', (e) => {
+        switch (e.key) {
+            case 'qqmusic_queue':
+                player.syncQueueFromStorage();
+                break;
+            case 'qqmusic_history':
+                historyManager.load();
+                if (ui.currentPage === 'history') historyManager.render();
+                break;
+            case 'qqmusic_saved_playlists':
+                savedPlaylistManager.load();
+                if (ui.currentPage === 'playlist') savedPlaylistManager.render();
+                break;
         }
-    };
+    });
+
+    // Playback speed
+    ui.initSpeedMenu(player);
+    ui.updateSpeed(player.speed, player.preservesPitch);
+
+    // Karaoke mode
+    ui.initKaraokeMenu(player);
+    ui.updateKaraokeMode(player.karaokeSettings);
+
+    // Sleep timer
+    ui.initSleepMenu(player);
+    ui.updateSleepTimer(false, '');
+    player.setQuality(player.preferredQuality());
 
     /* Legacy progress bar seek removed
     ui.els.progressBar.onclick = (e) => {
@@ -1740,6 +4153,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Search
     const searchInput = document.getElementById('search-input');
+    search.renderDiscover();
 
     searchInput.oninput = (e) => {
         const keyword = e.target.value;
@@ -1752,15 +4166,39 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     };
 
+    // 搜索联想：单曲直接播放（Shift+Enter / + 为下一首播放），歌手、专辑打开详情页，MV 以名称搜索
+    const suggest = new SearchSuggest(searchInput, document.getElementById('search-suggest'));
+    suggest.fetch = (keyword, options) => quickSearch(keyword, options);
+    suggest.onPick = async (item, { queue }) => {
+        if (item.type === 'song') {
+            try {
+                await search.playSuggestedSong(item.mid, queue);
+            } catch (e) {
+                console.warn('Play suggestion failed:', e);
+                ui.notify('无法播放该歌曲', 'error');
+            }
+            return;
+        }
+        if (item.type === 'singer' || item.type === 'album') {
+            const photo = item.type === 'singer' ? 'T001' : 'T002';
+            search.openResult(item.type, {
+                mid: item.mid,
+                name: item.name,
+                singer: item.singer,
+                cover: item.mid ? `https://y.gtimg.cn/music/photo_new/${photo}R300x300M000${item.mid}.jpg` : ''
+            });
+            return;
+        }
+        const keyword = [item.name, item.singer].filter(Boolean).join(' ');
+        searchInput.value = keyword;
+        search.search(keyword);
+    };
+
     document.getElementById('search-clear').onclick = () => {
+        suggest.clear();
         searchInput.value = '';
         document.getElementById('search-clear').style.display = 'none';
-        ui.els.resultsList.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-music"></i>
-                <p>输入关键词开始搜索</p>
-            </div>
-        `;
+        search.search('');
     };
 
     document.getElementById('prev-page').onclick = () => search.prevPage();
@@ -1790,7 +4228,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Detail Page Back
     document.getElementById('detail-back-btn').onclick = () => {
-        ui.switchPage('playlist');
+        ui.switchPage(ui.detailReturnPage || 'playlist');
     };
 
     // Bulk Import Logic
@@ -1943,6 +4381,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // 关闭按钮
     ui.els.immersiveClose.onclick = () => {
+        if (lyricEditor.active) {
+            lyricEditor.requestClose();
+            if (lyricEditor.active) return;
+        }
         ui.closeImmersivePlayer();
     };
 
@@ -1954,58 +4396,34 @@ document.addEventListener('DOMContentLoaded', async () => {
         player.next();
     };
 
-    // Lyrics toggle button - single click cycles: off -> trans -> roma -> off
-    document.getElementById('lyrics-toggle-btn').onclick = () => {
-        const toggleBtn = document.getElementById('lyrics-toggle-btn');
-        const toggleLabel = document.getElementById('lyrics-toggle-label');
-        const hasTrans = ui.transLines?.length > 0;
-        const hasRoma = ui.romaLines?.length > 0;
-
-        // Determine current state and next state
-        // States: 'off' -> 'trans' -> 'roma' -> 'off' (skip unavailable)
-        let currentState = ui.showSubText ? ui.subTextType : 'off';
-        let nextState = 'off';
-
-        if (currentState === 'off') {
-            nextState = hasTrans ? 'trans' : (hasRoma ? 'roma' : 'off');
-        } else if (currentState === 'trans') {
-            nextState = hasRoma ? 'roma' : 'off';
-        } else if (currentState === 'roma') {
-            nextState = 'off';
-        }
-
-        // Apply next state
-        if (nextState === 'off') {
-            ui.showSubText = false;
-            toggleBtn.classList.remove('active');
-            document.querySelectorAll('.lyric-line').forEach(el => {
-                el.classList.remove('show-sub');
-            });
-            // Reset label to default
-            toggleLabel.textContent = hasTrans ? '译' : '音';
-        } else {
-            ui.showSubText = true;
-            ui.subTextType = nextState;
-            toggleBtn.classList.add('active');
-            toggleLabel.textContent = nextState === 'trans' ? '译' : '音';
-
-            // Update sub-text content and show
-            document.querySelectorAll('.lyric-sub').forEach(el => {
-                el.textContent = nextState === 'trans' ? el.dataset.trans : el.dataset.roma;
-            });
-            document.querySelectorAll('.lyric-line').forEach(el => {
-                el.classList.add('show-sub');
-            });
-        }
+    // Lyrics toggle button - single click cycles: off -> trans -> roma -> stack -> columns (skips unavailable)
+    document.getElementById('lyrics-toggle-btn').onclick = () => ui.cycleSubMode();
+
+    // 歌词显示设置：对照模式、平铺 / 弧形布局、字号、对齐
+    ui.initLyricDisplayMenu();
+
+    // 歌词偏移：提前 / 延后 0.1 秒，点击数值归零
+    document.getElementById('lyric-offset-earlier').onclick = () => ui.stepLyricOffset(1);
+    document.getElementById('lyric-offset-later').onclick = () => ui.stepLyricOffset(-1);
+    document.getElementById('lyric-offset-label').onclick = () => {
+        ui.setLyricOffset(0);
+        ui.notify('歌词偏移已重置');
     };
 
-    // 歌词点击跳转
+    // 歌词点击跳转（分享选择模式下改为选中歌词）
     ui.els.lyricsScroll.onclick = (e) => {
         const lyricLine = e.target.closest('.lyric-line');
+        if (lyricLine && ui.els.immersivePlayer.classList.contains('selecting')) {
+            if (lyricLine.dataset.index !== undefined) {
+                lyricLine.classList.toggle('selected');
+                updateShareCount();
+            }
+            return;
+        }
         if (lyricLine) {
             const time = parseFloat(lyricLine.dataset.time);
             if (!isNaN(time)) {
-                player.seek(time);
+                player.seek(ui.lyricSeekTime(time));
                 ui.userScrolling = false; // 点击歌词后恢复自动滚动
             }
         }
@@ -2044,29 +4462,396 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
-    // 歌词加载函数
+    // 逐字歌词按帧读取播放进度
+    ui.timeSource = () => player.currentTime;
+
+    // 歌名与歌手，用于导出文件名和桌面歌词
+    const songMeta = (song) => ({
+        title: song.title || song.name,
+        artist: song.singers || song.singer?.map(s => s.name).join(', ') || song.singername || ''
+    });
+
+    // 歌词缓存（IndexedDB，保存解密后的歌词）
+    const lyricCache = new LyricCache();
+
+    // 获取歌词（优先 QRC 逐字歌词，没有时回退到 LRC）
+    async function fetchLyrics(mid) {
+        let lyrics = await getLyric(mid, { qrc: true });
+        if (!lyrics.lyric) {
+            lyrics = await getLyric(mid);
+        }
+        return lyrics;
+    }
+
+    // 歌词加载函数（用户导入的本地歌词优先）
+    let lyricRequestMid = null;
     async function loadLyricsForSong(mid) {
+        lyricRequestMid = mid;
         try {
-            const lyrics = await getLyric(mid);
-            ui.renderLyrics(lyrics);
+            const override = await lyricCache.getOverride(mid);
+            const lyrics = override || await lyricCache.load(mid, fetchLyrics);
+            if (lyricRequestMid !== mid) return; // 已切到其他歌曲
+            ui.renderLyrics(lyrics, mid);
+            ui.updateLyricSource(override ? override.name : null);
         } catch (e) {
             console.error('Failed to load lyrics:', e);
-            ui.renderLyrics(null);
+            if (lyricRequestMid === mid) {
+                ui.renderLyrics(null, mid);
+                ui.updateLyricSource(null);
+            }
+        }
+        ui.highlightLyric(player.currentTime);
+        desktopLyrics.refresh();
+    }
+
+    // 桌面歌词（画中画），翻译 / 音译跟随沉浸模式的切换状态
+    const desktopLyrics = new DesktopLyrics();
+    desktopLyrics.getState = () => {
+        const song = player.queue[player.currentIndex];
+        const lines = ui.currentLyrics || [];
+        const idx = ui.lastHighlightIdx ?? -1;
+        const sub = (line) => ui.showSubText ? ui.subTextFor(line) : '';
+        const current = lines[idx];
+        const next = lines[idx + 1];
+        return {
+            ...(song ? songMeta(song) : {}),
+            current: current?.text || '',
+            currentSub: sub(current),
+            next: next?.text || '',
+            nextSub: sub(next),
+            playing: !player.paused,
+            accent: getComputedStyle(document.documentElement).getPropertyValue('--accent').trim()
+        };
+    };
+    ui.onLyricLine = () => desktopLyrics.refresh();
+    ui.onSubModeChange = () => desktopLyrics.refresh();
+
+    const desktopLyricsBtn = document.getElementById('desktop-lyrics-btn');
+    if (!desktopLyrics.supported) {
+        desktopLyricsBtn.hidden = true;
+    }
+    desktopLyrics.onToggle = (active) => desktopLyricsBtn.classList.toggle('active', active);
+    desktopLyricsBtn.onclick = async () => {
+        try {
+            await desktopLyrics.toggle();
+        } catch (e) {
+            console.warn('Desktop lyrics failed:', e);
+            ui.notify('无法打开桌面歌词', 'error');
+            return;
+        }
+        // Lyrics are otherwise only loaded for the immersive view
+        const song = player.queue[player.currentIndex];
+        if (desktopLyrics.active && song && ui.lyricMid !== song.mid) {
+            loadLyricsForSong(song.mid);
+        }
+    };
+    player.engine.addEventListener('play', () => desktopLyrics.refresh());
+    player.engine.addEventListener('pause', () => desktopLyrics.refresh());
+
+    // 导入本地歌词文件并绑定到当前歌曲
+    async function importLyricFile(file) {
+        const song = player.queue[player.currentIndex];
+        if (!song || !file) return;
+
+        let lyrics;
+        try {
+            lyrics = parseLyricFile(file.name, await file.text());
+        } catch (e) {
+            ui.notify(`无法导入歌词：${e.message}`, 'error');
+            return;
         }
+
+        const saved = await lyricCache.setOverride(song.mid, lyrics, file.name);
+        if (player.queue[player.currentIndex]?.mid !== song.mid) return;
+
+        lyricRequestMid = song.mid;
+        ui.renderLyrics(lyrics, song.mid);
+        ui.updateLyricSource(file.name);
+        ui.notify(saved ? `已导入歌词：${file.name}` : '歌词已导入，但无法保存，仅本次有效', saved ? 'success' : 'error');
+    }
+
+    async function revertLyrics() {
+        const song = player.queue[player.currentIndex];
+        if (!song) return;
+        await lyricCache.removeOverride(song.mid);
+        await loadLyricsForSong(song.mid);
+        ui.notify('已恢复官方歌词');
     }
 
-    // 歌曲切换时重新加载歌词
-    player.audio.addEventListener('loadstart', () => {
-        if (ui.els.immersivePlayer.classList.contains('active')) {
-            if (player.currentIndex >= 0 && player.queue[player.currentIndex]) {
-                const song = player.queue[player.currentIndex];
-                loadLyricsForSong(song.mid);
+    const lyricFileInput = document.getElementById('lyric-file-input');
+    lyricFileInput.accept = LYRIC_FILE_ACCEPT;
+    lyricFileInput.onchange = () => {
+        importLyricFile(lyricFileInput.files[0]);
+        lyricFileInput.value = '';
+    };
+    document.getElementById('lyric-import-btn').onclick = () => lyricFileInput.click();
+
+    // 歌词打轴编辑器：编辑期间歌词偏移归零，时间直接对应音频
+    const lyricEditor = new LyricEditor();
+    let editorMid = null;
+    let editorOffset = 0; // 未写入打轴结果时恢复
+
+    // The editor zeroes the offset on screen only; the stored one is kept until timings
+    // with it baked in are saved, so a reload mid-edit loses nothing
+    const restoreEditorOffset = () => {
+        if (editorOffset && ui.lyricMid === editorMid) {
+            ui.setLyricOffset(editorOffset, false);
+        }
+        editorOffset = 0;
+    };
+
+    const refreshEditorMarkers = () => {
+        if (!ui.waveform) return;
+        const duration = player.duration;
+        if (!lyricEditor.active || !duration) {
+            ui.waveform.setMarkers([]);
+            return;
+        }
+        const markers = lyricEditor.markers();
+        ui.waveform.setMarkers(
+            markers.map(m => m.time / duration),
+            markers.findIndex(m => m.index === lyricEditor.selected)
+        );
+    };
+
+    lyricEditor.getTime = () => player.currentTime;
+    lyricEditor.onSeek = (time) => player.seek(time);
+    lyricEditor.onSelect = refreshEditorMarkers;
+    lyricEditor.onChange = (lines) => {
+        // 实时预览
+        ui.renderLyrics({ lyric: serializeLyrics('lrc', lines), trans: '', roma: '' }, editorMid);
+        ui.highlightLyric(player.currentTime);
+        refreshEditorMarkers();
+    };
+    lyricEditor.onExport = (lines) => {
+        const song = player.queue.find(s => s.mid === editorMid);
+        if (!song || lines.length === 0) {
+            ui.notify('还没有打轴的歌词', 'error');
+            return;
+        }
+        const { title, artist } = songMeta(song);
+        downloadText(serializeLyrics('lrc', lines, { title, artist }), lyricFileName(title, artist, 'lrc'));
+    };
+    lyricEditor.onSave = async (lines) => {
+        const mid = editorMid;
+        let saved = false;
+        if (lines.length > 0) {
+            saved = await lyricCache.setOverride(mid, { lyric: serializeLyrics('lrc', lines), trans: '', roma: '' }, '打轴编辑');
+            ui.notify(saved ? '打轴结果已保存' : '无法保存打轴结果', saved ? 'success' : 'error');
+        }
+        if (saved) {
+            if (editorOffset) ui.saveLyricOffset(mid, 0);
+            editorOffset = 0;
+        } else {
+            restoreEditorOffset();
+        }
+        if (player.queue[player.currentIndex]?.mid === mid) {
+            loadLyricsForSong(mid);
+        }
+    };
+    lyricEditor.onClose = (saved) => {
+        ui.els.immersivePlayer.classList.remove('editing');
+        refreshEditorMarkers();
+        // Saving restores the offset itself once it knows whether anything was written
+        if (saved) return;
+
+        restoreEditorOffset();
+        if (player.queue[player.currentIndex]?.mid === editorMid) {
+            loadLyricsForSong(editorMid);
+        }
+    };
+
+    if (ui.waveform) {
+        ui.waveform.onMarkerMove = (index, percent) => {
+            const marker = lyricEditor.markers()[index];
+            if (marker && player.duration) {
+                lyricEditor.setLineTime(marker.index, percent * player.duration);
             }
+        };
+    }
+
+    document.getElementById('lyric-edit-btn').onclick = () => {
+        const song = player.queue[player.currentIndex];
+        if (!song) return;
+
+        editorMid = song.mid;
+        editorOffset = ui.lyricOffset;
+        // Start from the current lyrics, with the offset baked in
+        const lines = ui.lyricExportRows(false).map(row => ({ time: row.time, text: row.text }));
+        if (editorOffset) ui.setLyricOffset(0, false);
+
+        ui.els.immersivePlayer.classList.add('editing');
+        lyricEditor.open(lines);
+        refreshEditorMarkers();
+    };
+
+    // 歌词卡片：选择歌词行，生成可分享的图片
+    const cardModal = document.getElementById('lyric-card-modal');
+    const cardPreview = document.getElementById('lyric-card-preview');
+    const cardSubToggle = document.getElementById('lyric-card-sub');
+    let cardBlob = null;
+    let cardUrl = null;
+
+    const selectedLyricLines = () => Array.from(ui.els.lyricsScroll.querySelectorAll('.lyric-line.selected'));
+
+    function updateShareCount() {
+        const count = selectedLyricLines().length;
+        document.getElementById('lyric-share-count').textContent = count ? `已选 ${count} 句` : '点击歌词选择';
+        document.getElementById('lyric-share-create').disabled = count === 0;
+    }
+
+    function exitShareSelection() {
+        ui.els.immersivePlayer.classList.remove('selecting');
+        ui.els.lyricsScroll.querySelectorAll('.lyric-line.selected').forEach(el => el.classList.remove('selected'));
+    }
+
+    async function renderCard() {
+        const song = player.queue[player.currentIndex];
+        const selected = selectedLyricLines();
+        if (!song || selected.length === 0) return;
+
+        const lines = selected.map(el => {
+            const line = ui.currentLyrics[parseInt(el.dataset.index)];
+            return { text: line.text, sub: ui.subTextFor(line) };
+        });
+        cardSubToggle.parentElement.hidden = !lines.some(l => l.sub);
+
+        const canvas = await renderLyricCard({
+            lines,
+            ...songMeta(song),
+            coverCandidates: getCoverCandidates(song, 500),
+            includeSub: cardSubToggle.checked
+        });
+        cardBlob = await canvasToBlob(canvas);
+        if (cardUrl) URL.revokeObjectURL(cardUrl);
+        cardUrl = URL.createObjectURL(cardBlob);
+        cardPreview.src = cardUrl;
+    }
+
+    document.getElementById('lyric-share-btn').onclick = () => {
+        if (!ui.currentLyrics?.length) {
+            ui.notify('暂无可分享的歌词', 'error');
+            return;
+        }
+        ui.els.immersivePlayer.classList.add('selecting');
+        // Start from the current line
+        ui.lyricElements[ui.lastHighlightIdx]?.classList.add('selected');
+        updateShareCount();
+    };
+    document.getElementById('lyric-share-cancel').onclick = exitShareSelection;
+    document.getElementById('lyric-share-create').onclick = async () => {
+        cardModal.classList.add('active');
+        cardPreview.removeAttribute('src');
+        try {
+            await renderCard();
+        } catch (e) {
+            console.warn('Lyric card failed:', e);
+            ui.notify('生成歌词卡片失败', 'error');
+        }
+    };
+    cardSubToggle.onchange = () => renderCard().catch(e => console.warn('Lyric card failed:', e));
+
+    document.getElementById('lyric-card-download').onclick = () => {
+        const song = player.queue[player.currentIndex];
+        if (!cardBlob || !song) return;
+        const { title, artist } = songMeta(song);
+        downloadBlob(cardBlob, lyricFileName(title, artist, 'png'));
+    };
+    document.getElementById('lyric-card-copy').onclick = async () => {
+        if (!cardBlob) return;
+        try {
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': cardBlob })]);
+            ui.notify('已复制到剪贴板');
+        } catch (e) {
+            console.warn('Copy lyric card failed:', e);
+            ui.notify('复制失败，请使用下载', 'error');
+        }
+    };
+    const closeCardModal = () => {
+        cardModal.classList.remove('active');
+        exitShareSelection();
+    };
+    document.getElementById('lyric-card-close').onclick = closeCardModal;
+    cardModal.addEventListener('click', (e) => {
+        if (e.target === cardModal) closeCardModal();
+    });
+
+    // 导出歌词
+    ui.initLyricExportMenu((format, includeSub) => {
+        const song = player.queue[player.currentIndex];
+        if (!song || !ui.currentLyrics?.length) {
+            ui.notify('暂无可导出的歌词', 'error');
+            return;
+        }
+        const { title, artist } = songMeta(song);
+        const content = serializeLyrics(format, ui.lyricExportRows(includeSub), {
+            title,
+            artist,
+            duration: player.duration
+        });
+        const { ext, mime } = LYRIC_EXPORT_FORMATS[format];
+        downloadText(content, lyricFileName(title, artist, ext), mime);
+    });
+    document.getElementById('lyric-revert-btn').onclick = () => revertLyrics();
+
+    // 拖入歌词文件
+    let lyricDragDepth = 0;
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+    ui.els.immersivePlayer.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        lyricDragDepth++;
+        ui.els.immersivePlayer.classList.add('dragover');
+    });
+    ui.els.immersivePlayer.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    ui.els.immersivePlayer.addEventListener('dragleave', (e) => {
+        if (!hasFiles(e)) return;
+        lyricDragDepth = Math.max(0, lyricDragDepth - 1);
+        if (lyricDragDepth === 0) ui.els.immersivePlayer.classList.remove('dragover');
+    });
+    ui.els.immersivePlayer.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        lyricDragDepth = 0;
+        ui.els.immersivePlayer.classList.remove('dragover');
+        importLyricFile(e.dataTransfer.files[0]);
+    });
+
+    // 歌曲切换时重新加载歌词，并预取当前与下一首的歌词
+    player.engine.addEventListener('trackchange', () => {
+        const song = player.queue[player.currentIndex];
+        if (!song) return;
+
+        // 分享选择针对单首歌曲，切歌时退出
+        exitShareSelection();
+
+        // 打轴针对单首歌曲，切歌时退出
+        if (lyricEditor.active && song.mid !== editorMid) {
+            lyricEditor.close(false);
+            ui.notify('已切换歌曲，退出打轴', 'info');
+        }
+
+        if (ui.els.immersivePlayer.classList.contains('active') || desktopLyrics.active) {
+            loadLyricsForSong(song.mid);
+        } else {
+            lyricCache.prefetch(song.mid, fetchLyrics);
+        }
+
+        const nextSong = player.queue[player.peekNextIndex()];
+        if (nextSong && nextSong.mid !== song.mid) {
+            lyricCache.prefetch(nextSong.mid, fetchLyrics);
         }
     });
 
-    // 播放进度更新歌词高亮
-    player.audio.addEventListener('timeupdate', () => {
+    // 播放进度更新歌词高亮（按媒体时间，与播放速度无关）
+    player.engine.addEventListener('timeupdate', () => {
+        ui.highlightLyric(player.audio.currentTime);
+    });
+    // A-B 循环跳回时立即更新
+    player.engine.addEventListener('seeked', () => {
         ui.highlightLyric(player.audio.currentTime);
     });
 
@@ -0,0 +1,516 @@
+/**
+ * Audio Engine
+ * Dual-deck Web Audio pipeline: two <audio> elements feed one master chain,
+ * so the next track can be preloaded on the idle deck and handed off
+ * gaplessly or with an equal-power crossfade.
+ * Web Audio can only read a stream served with CORS headers. A deck whose
+ * stream host sends none is reloaded as a plain element that plays straight
+ * to the speakers, skipping the graph (EQ, karaoke, normalization, fades).
+ */
+
+// Media events re-dispatched from whichever deck is currently active
+const FORWARDED_EVENTS = [
+    'play', 'pause', 'playing', 'waiting', 'timeupdate', 'durationchange',
+    'loadedmetadata', 'loadstart', 'ended', 'error', 'stalled', 'seeked', 'ratechange'
+];
+
+// Processing stages between the deck bus and master volume, in signal order
+const INSERT_ORDER = ['karaoke', 'equalizer', 'sleep'];
+
+/**
+ * Build an equal-power fade curve
+ * @param {boolean} fadeIn - true for 0 -> 1, false for 1 -> 0
+ */
+function equalPowerCurve(fadeIn, steps = 64) {
+    const curve = new Float32Array(steps);
+    for (let i = 0; i < steps; i++) {
+        const t = i / (steps - 1);
+        curve[i] = fadeIn ? Math.sin(t * Math.PI / 2) : Math.cos(t * Math.PI / 2);
+    }
+    return curve;
+}
+
+export class AudioEngine extends EventTarget {
+    constructor() {
+        super();
+        this.context = null;
+        this.input = null; // Bus where both decks are summed
+        this.masterGain = null; // Volume / mute
+
+        this._volume = 1;
+        this._muted = false;
+        this._directFade = 1; // Fade level for direct decks, which masterGain and inserts don't reach
+
+        this.corsBlockedHosts = new Set(); // Stream hosts that refused a CORS load
+
+        this.decks = [this.createDeck(), this.createDeck()];
+        this.activeIndex = 0;
+
+        this.standbyKey = null; // Identifies what is preloaded on the standby deck
+        this.standbyMeta = null;
+
+        this.fadingDeck = null;
+        this.fadeTimer = null;
+
+        this.insertFactories = new Map(); // name -> (ctx) => { input, output }
+        this.inserts = new Map(); // name -> { input, output }
+    }
+
+    createDeck() {
+        // trim: per-track gain (loudness normalization), gain: crossfade envelope
+        // direct: element plays outside the graph (stream without CORS headers)
+        // fallback: pending CORS check after a load error, resolves true if the deck was reloaded direct
+        const deck = {
+            audio: null, url: null, source: null, trim: null, trimDb: 0, gain: null,
+            direct: false, fallback: null
+        };
+        this.attachElement(deck, false);
+        return deck;
+    }
+
+    /**
+     * Give a deck a fresh <audio> element. An element can't leave the graph once
+     * routed into it, so switching between graph and direct output needs a new one.
+     * @param {Object} deck
+     * @param {boolean} direct - Play without crossOrigin, outside the graph
+     */
+    attachElement(deck, direct) {
+        const old = deck.audio;
+        const audio = new Audio();
+        if (!direct) {
+            audio.crossOrigin = 'anonymous'; // Required for Web Audio to read stream samples
+        }
+        audio.preload = 'auto';
+
+        if (old) {
+            audio.defaultPlaybackRate = old.defaultPlaybackRate;
+            audio.playbackRate = old.playbackRate;
+            audio.preservesPitch = old.preservesPitch;
+            audio.mozPreservesPitch = old.mozPreservesPitch;
+            audio.webkitPreservesPitch = old.webkitPreservesPitch;
+            old.pause();
+            old.removeAttribute('src');
+            old.load();
+        }
+        if (deck.source) {
+            deck.source.disconnect();
+            deck.source = null;
+        }
+
+        const changed = deck.direct !== direct;
+        deck.audio = audio;
+        deck.direct = direct;
+
+        FORWARDED_EVENTS.forEach(type => {
+            audio.addEventListener(type, () => {
+                if (audio !== deck.audio) return;
+                if (type === 'error' && this.checkCorsFallback(deck)) return;
+                if (deck === this.active) {
+                    this.dispatchEvent(new Event(type));
+                }
+            });
+        });
+
+        if (this.context) {
+            this.connectDeck(deck);
+        }
+        if (!this.masterGain || direct) {
+            audio.volume = this.elementVolume(deck);
+            audio.muted = this._muted;
+        }
+        // Not during construction, when this.decks doesn't exist yet
+        if (changed && this.decks && deck === this.active) {
+            this.dispatchEvent(new Event('outputchange'));
+        }
+    }
+
+    /**
+     * True while the active deck plays outside the graph, so inserts and trim have no effect
+     */
+    get direct() {
+        return this.active.direct;
+    }
+
+    elementVolume(deck) {
+        return deck.direct ? this._volume * this._directFade : this._volume;
+    }
+
+    /**
+     * Fade level (0-1) for direct decks, standing in for an insert stage like the sleep fade
+     */
+    setDirectFade(level) {
+        this._directFade = Math.max(0, Math.min(1, level));
+        this.applyVolume();
+    }
+
+    /**
+     * Route a deck's element through trim -> gain -> bus (graph decks only)
+     */
+    connectDeck(deck) {
+        if (!deck.trim) {
+            deck.trim = this.context.createGain();
+            deck.trim.gain.value = Math.pow(10, deck.trimDb / 20);
+            deck.gain = this.context.createGain();
+            deck.gain.gain.value = deck === this.active ? 1 : 0;
+            deck.trim.connect(deck.gain);
+            deck.gain.connect(this.input);
+        }
+        if (deck.direct || deck.source) return;
+
+        // Volume now lives on masterGain
+        deck.audio.volume = 1;
+        deck.audio.muted = false;
+        deck.source = this.context.createMediaElementSource(deck.audio);
+        deck.source.connect(deck.trim);
+    }
+
+    /**
+     * After a load error on a CORS element, find out whether CORS was the cause:
+     * a CORS request that gets any response at all (even 403) means the host
+     * allows it, and the error is a real one.
+     * @returns {boolean} - True if the error is held back while the check runs
+     */
+    checkCorsFallback(deck) {
+        const { audio, url } = deck;
+        if (deck.direct || !url || audio.readyState !== HTMLMediaElement.HAVE_NOTHING) return false;
+
+        // Set before play() rejects, so play() can wait for the reload
+        deck.fallback = fetch(url, { method: 'HEAD', mode: 'cors', cache: 'no-store' })
+            .then(() => false, () => true)
+            .then(blocked => {
+                if (deck.url !== url || deck.audio !== audio) return false;
+                deck.fallback = null;
+
+                if (!blocked) {
+                    if (deck === this.active) this.dispatchEvent(new Event('error'));
+                    return false;
+                }
+
+                console.warn('AudioEngine: stream host sends no CORS headers, playing without Web Audio', url);
+                this.corsBlockedHosts.add(new URL(url).host);
+                this.attachElement(deck, true);
+                deck.audio.src = url;
+                deck.audio.load();
+                return true;
+            });
+        return true;
+    }
+
+    /**
+     * Point a deck at a URL, switching its element to direct output first if
+     * the host is known to refuse CORS (or back, for a host that allows it)
+     */
+    setDeckSource(deck, url) {
+        let direct = false;
+        try {
+            direct = this.corsBlockedHosts.has(new URL(url, location.href).host);
+        } catch (e) {
+            // Keep the graph for anything unparseable
+        }
+        if (direct !== deck.direct) {
+            this.attachElement(deck, direct);
+        }
+        deck.fallback = null;
+        deck.url = url;
+        deck.audio.src = url;
+    }
+
+    /**
+     * play() on a deck, retried on the reloaded element if a CORS fallback kicks in
+     */
+    playDeck(deck) {
+        return deck.audio.play().catch(error => {
+            if (!deck.fallback) throw error;
+            return deck.fallback.then(reloaded => {
+                if (!reloaded) throw error;
+                return deck.audio.play();
+            });
+        });
+    }
+
+    get active() {
+        return this.decks[this.activeIndex];
+    }
+
+    get standby() {
+        return this.decks[1 - this.activeIndex];
+    }
+
+    /**
+     * The <audio> element currently producing the main output
+     */
+    get audio() {
+        return this.active.audio;
+    }
+
+    get volume() {
+        return this._volume;
+    }
+
+    set volume(value) {
+        this._volume = Math.max(0, Math.min(1, Number(value) || 0));
+        this.applyVolume();
+        this.dispatchEvent(new Event('volumechange'));
+    }
+
+    get muted() {
+        return this._muted;
+    }
+
+    set muted(value) {
+        this._muted = !!value;
+        this.applyVolume();
+        this.dispatchEvent(new Event('volumechange'));
+    }
+
+    /**
+     * Lazily create the AudioContext and graph.
+     * Browsers only allow audio to start after a user gesture, so this runs on first play.
+     */
+    ensureContext() {
+        if (this.context) {
+            if (this.context.state === 'suspended') {
+                this.context.resume().catch(() => { });
+            }
+            return this.context;
+        }
+
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) return null;
+
+        try {
+            this.context = new Ctx();
+            this.input = this.context.createGain();
+            this.masterGain = this.context.createGain();
+            this.masterGain.connect(this.context.destination);
+
+            this.insertFactories.forEach((factory, name) => {
+                this.inserts.set(name, factory(this.context));
+            });
+            this.rewire();
+
+            this.decks.forEach(deck => this.connectDeck(deck));
+        } catch (e) {
+            console.warn('AudioEngine: Web Audio unavailable, using plain <audio> output', e);
+            this.context = null;
+            return null;
+        }
+
+        this.applyVolume();
+        return this.context;
+    }
+
+    /**
+     * Register a processing stage. The factory runs once the AudioContext exists.
+     * @param {string} name - One of INSERT_ORDER
+     * @param {Function} factory - (AudioContext) => { input: AudioNode, output: AudioNode }
+     */
+    registerInsert(name, factory) {
+        if (!INSERT_ORDER.includes(name)) {
+            throw new Error(`Unknown insert: ${name}`);
+        }
+        this.insertFactories.set(name, factory);
+
+        if (this.context) {
+            this.inserts.set(name, factory(this.context));
+            this.rewire();
+        }
+    }
+
+    /**
+     * Connect bus -> inserts (in INSERT_ORDER) -> master
+     */
+    rewire() {
+        this.input.disconnect();
+        this.inserts.forEach(stage => stage.output.disconnect());
+
+        let tail = this.input;
+        INSERT_ORDER.forEach(name => {
+            const stage = this.inserts.get(name);
+            if (!stage) return;
+            tail.connect(stage.input);
+            tail = stage.output;
+        });
+        tail.connect(this.masterGain);
+    }
+
+    applyVolume() {
+        if (this.masterGain) {
+            const value = this._muted ? 0 : this._volume;
+            this.masterGain.gain.setTargetAtTime(value, this.context.currentTime, 0.015);
+        }
+        // No graph yet (or unsupported), or a direct deck: drive the elements
+        this.decks.forEach(deck => {
+            if (!deck.audio || (this.masterGain && !deck.direct)) return;
+            deck.audio.volume = this.elementVolume(deck);
+            deck.audio.muted = this._muted;
+        });
+    }
+
+    /**
+     * Load a URL on the active deck, replacing whatever is playing
+     * @param {string} url - Stream URL
+     */
+    load(url) {
+        this.cancelFade();
+        this.setDeckGain(this.active, 1);
+        this.setDeckSource(this.active, url);
+        this.dispatchEvent(new Event('trackchange'));
+    }
+
+    /**
+     * Swap the active deck to a fresh URL of the same track (e.g. after the old one expired).
+     * Unlike load(), this does not count as a track change.
+     * @param {string} url - Stream URL
+     */
+    reloadSource(url) {
+        this.setDeckSource(this.active, url);
+        this.active.audio.load();
+    }
+
+    /**
+     * Playback speed of the active deck.
+     * defaultPlaybackRate is set too, since loading a new src resets playbackRate to it.
+     * @param {number} rate - 0.5 to 2
+     * @param {boolean} preservesPitch - Time-stretch instead of resampling
+     */
+    setPlaybackRate(rate, preservesPitch = true) {
+        const audio = this.active.audio;
+        audio.preservesPitch = preservesPitch;
+        audio.mozPreservesPitch = preservesPitch;
+        audio.webkitPreservesPitch = preservesPitch;
+        audio.defaultPlaybackRate = rate;
+        audio.playbackRate = rate;
+    }
+
+    play() {
+        this.ensureContext();
+        return this.playDeck(this.active);
+    }
+
+    pause() {
+        this.cancelFade();
+        this.active.audio.pause();
+    }
+
+    /**
+     * Preload a URL on the standby deck
+     * @param {string} url - Stream URL
+     * @param {string} key - Identifier to match on handoff (song mid)
+     * @param {Object} meta - Extra data returned with the preload (e.g. quality)
+     * @returns {boolean} - False if the standby deck is still fading out
+     */
+    preload(url, key, meta = {}) {
+        if (this.fadingDeck) return false;
+
+        const deck = this.standby;
+        this.setDeckGain(deck, 0);
+        this.setDeckSource(deck, url);
+        deck.audio.load();
+
+        this.standbyKey = key;
+        this.standbyMeta = { url, ...meta };
+        return true;
+    }
+
+    isPreloaded(key) {
+        return !!key && this.standbyKey === key && !!this.standby.audio.src;
+    }
+
+    clearPreload() {
+        if (this.fadingDeck) return;
+        this.releaseDeck(this.standby);
+    }
+
+    /**
+     * Swap to the preloaded standby deck
+     * @param {number} duration - Crossfade length in seconds (0 = gapless cut)
+     * @returns {Promise<void>} - Resolves when the incoming deck starts playing
+     */
+    handoff(duration = 0) {
+        this.cancelFade();
+
+        const from = this.active;
+        const to = this.standby;
+
+        this.activeIndex = 1 - this.activeIndex;
+        this.standbyKey = null;
+        this.standbyMeta = null;
+
+        const ctx = this.ensureContext();
+        // Direct decks have no gain envelope to fade with
+        const fade = !!ctx && duration > 0 && !from.audio.paused && !from.direct && !to.direct;
+
+        if (fade) {
+            const now = ctx.currentTime;
+            to.gain.gain.cancelScheduledValues(now);
+            from.gain.gain.cancelScheduledValues(now);
+            to.gain.gain.setValueCurveAtTime(equalPowerCurve(true), now, duration);
+            from.gain.gain.setValueCurveAtTime(equalPowerCurve(false), now, duration);
+
+            this.fadingDeck = from;
+            this.fadeTimer = setTimeout(() => this.cancelFade(), duration * 1000);
+        } else {
+            this.setDeckGain(to, 1);
+            this.releaseDeck(from);
+        }
+
+        to.audio.currentTime = 0;
+        this.dispatchEvent(new Event('trackchange'));
+        return this.playDeck(to);
+    }
+
+    /**
+     * Finish any running crossfade immediately
+     */
+    cancelFade() {
+        clearTimeout(this.fadeTimer);
+        this.fadeTimer = null;
+
+        if (this.fadingDeck) {
+            const deck = this.fadingDeck;
+            this.fadingDeck = null;
+            this.releaseDeck(deck);
+            this.setDeckGain(this.active, 1);
+        }
+    }
+
+    /**
+     * Set the per-track gain of a deck
+     * @param {Object} deck - this.active or this.standby
+     * @param {number} db - Gain in dB
+     * @param {boolean} smooth - Ramp slowly (mid-track changes) instead of jumping
+     */
+    setTrim(deck, db, smooth = false) {
+        deck.trimDb = db;
+        if (!deck.trim) return;
+        const now = this.context.currentTime;
+        deck.trim.gain.cancelScheduledValues(now);
+        deck.trim.gain.setTargetAtTime(Math.pow(10, db / 20), now, smooth ? 0.8 : 0.01);
+    }
+
+    setDeckGain(deck, value) {
+        if (!deck.gain) return;
+        const now = this.context.currentTime;
+        deck.gain.gain.cancelScheduledValues(now);
+        deck.gain.gain.setValueAtTime(value, now);
+    }
+
+    releaseDeck(deck) {
+        if (deck === this.active) return;
+
+        deck.audio.pause();
+        deck.url = null;
+        deck.fallback = null;
+        deck.audio.removeAttribute('src');
+        deck.audio.load();
+        this.setDeckGain(deck, 0);
+
+        if (deck === this.standby) {
+            this.standbyKey = null;
+            this.standbyMeta = null;
+        }
+    }
+}
+
+export default { AudioEngine };
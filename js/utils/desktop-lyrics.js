@@ -0,0 +1,228 @@
+/**
+ * Desktop Lyrics
+ * Floating lyrics that stay visible while the tab is in the background.
+ * Uses a Document Picture-in-Picture window when available, otherwise draws
+ * onto a canvas and shows it as a Picture-in-Picture video. Play/pause/next in
+ * the video fallback go through the Media Session handlers the player sets.
+ */
+
+const PIP_WIDTH = 480;
+const PIP_HEIGHT = 170;
+const CANVAS_WIDTH = 960;
+const CANVAS_HEIGHT = 300;
+
+const PIP_STYLE = `
+    html, body { margin: 0; height: 100%; background: #121212; color: #fff; overflow: hidden;
+        font-family: -apple-system, BlinkMacSystemFont, 'PingFang SC', 'Microsoft YaHei', sans-serif; }
+    .dl { height: 100%; display: flex; flex-direction: column; justify-content: center; gap: 4px; padding: 12px 16px; box-sizing: border-box; }
+    .dl-line { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .dl-current { font-size: 22px; font-weight: 700; color: var(--accent, #1db954); }
+    .dl-next { font-size: 15px; color: rgba(255, 255, 255, 0.55); }
+    .dl-sub { font-size: 13px; color: rgba(255, 255, 255, 0.6); }
+    .dl-sub:empty { display: none; }
+    .dl-bar { display: flex; align-items: center; gap: 8px; margin-top: 6px; }
+    .dl-song { flex: 1; min-width: 0; font-size: 12px; color: rgba(255, 255, 255, 0.4); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .dl-bar button { background: none; border: none; color: rgba(255, 255, 255, 0.7); font-size: 14px; cursor: pointer; padding: 4px 6px; }
+    .dl-bar button:hover { color: #fff; }
+`;
+
+export class DesktopLyrics {
+    constructor() {
+        this.pipWindow = null; // Document PiP window
+        this.video = null; // Fallback PiP video
+        this.canvas = null;
+
+        // Set by the app
+        this.getState = null; // () => { title, artist, current, currentSub, next, nextSub, playing, accent }
+        this.onToggle = null; // (active) => void
+    }
+
+    get supported() {
+        return 'documentPictureInPicture' in window || !!document.pictureInPictureEnabled;
+    }
+
+    get active() {
+        return !!(this.pipWindow || this.video);
+    }
+
+    async toggle() {
+        if (this.active) {
+            this.close();
+        } else {
+            await this.open();
+        }
+    }
+
+    async open() {
+        if (this.active) return;
+
+        if ('documentPictureInPicture' in window) {
+            await this.openDocument();
+        } else if (document.pictureInPictureEnabled) {
+            await this.openVideo();
+        } else {
+            throw new Error('当前浏览器不支持画中画');
+        }
+
+        this.refresh();
+        if (this.onToggle) this.onToggle(true);
+    }
+
+    close() {
+        if (this.pipWindow) {
+            const pip = this.pipWindow;
+            this.pipWindow = null;
+            pip.close();
+        }
+        if (this.video) {
+            const video = this.video;
+            this.video = null;
+            if (document.pictureInPictureElement === video) {
+                document.exitPictureInPicture().catch(() => { });
+            }
+            video.srcObject?.getTracks().forEach(t => t.stop());
+            video.remove();
+            this.canvas = null;
+        }
+        if (this.onToggle) this.onToggle(false);
+    }
+
+    async openDocument() {
+        const pip = await window.documentPictureInPicture.requestWindow({ width: PIP_WIDTH, height: PIP_HEIGHT });
+        this.pipWindow = pip;
+
+        const doc = pip.document;
+        doc.title = '桌面歌词';
+
+        // Same icon font as the page
+        document.querySelectorAll('link[rel="stylesheet"][href*="font-awesome"]').forEach(link => {
+            doc.head.appendChild(link.cloneNode());
+        });
+        const style = doc.createElement('style');
+        style.textContent = PIP_STYLE;
+        doc.head.appendChild(style);
+
+        doc.body.innerHTML = `
+            <div class="dl">
+                <div class="dl-line dl-current" data-el="current"></div>
+                <div class="dl-line dl-sub" data-el="currentSub"></div>
+                <div class="dl-line dl-next" data-el="next"></div>
+                <div class="dl-line dl-sub" data-el="nextSub"></div>
+                <div class="dl-bar">
+                    <div class="dl-song" data-el="song"></div>
+                    <button data-action="prev" title="上一首"><i class="fas fa-backward-step"></i></button>
+                    <button data-action="togglePlay" title="播放/暂停"><i class="fas fa-play" data-el="playIcon"></i></button>
+                    <button data-action="next" title="下一首"><i class="fas fa-forward-step"></i></button>
+                </div>
+            </div>
+        `;
+
+        doc.body.onclick = (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (btn && window.player) window.player[btn.dataset.action]();
+        };
+
+        // Closed from the PiP window's own close button
+        pip.addEventListener('pagehide', () => {
+            if (this.pipWindow !== pip) return;
+            this.pipWindow = null;
+            if (this.onToggle) this.onToggle(false);
+        });
+    }
+
+    async openVideo() {
+        const canvas = document.createElement('canvas');
+        canvas.width = CANVAS_WIDTH;
+        canvas.height = CANVAS_HEIGHT;
+        this.canvas = canvas;
+        this.renderCanvas(this.getState ? this.getState() : {});
+
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = canvas.captureStream();
+        video.style.cssText = 'position: fixed; width: 1px; height: 1px; opacity: 0; pointer-events: none;';
+        document.body.appendChild(video);
+        this.video = video;
+
+        // The stream only produces frames while the video plays
+        video.addEventListener('pause', () => {
+            if (this.video === video) video.play().catch(() => { });
+        });
+        video.addEventListener('leavepictureinpicture', () => {
+            if (this.video === video) this.close();
+        });
+
+        try {
+            await video.play();
+            await video.requestPictureInPicture();
+        } catch (e) {
+            this.close();
+            throw e;
+        }
+    }
+
+    /**
+     * Redraw from getState(); call when the line, sub-text mode or play state changes
+     */
+    refresh() {
+        if (!this.active || !this.getState) return;
+        const state = this.getState();
+
+        if (this.pipWindow) {
+            this.renderDocument(state);
+        } else if (this.canvas) {
+            this.renderCanvas(state);
+        }
+    }
+
+    renderDocument(state) {
+        const doc = this.pipWindow.document;
+        const el = (name) => doc.querySelector(`[data-el="${name}"]`);
+
+        doc.documentElement.style.setProperty('--accent', state.accent || '#1db954');
+        el('current').textContent = state.current || '♪';
+        el('currentSub').textContent = state.currentSub || '';
+        el('next').textContent = state.next || '';
+        el('nextSub').textContent = state.nextSub || '';
+        el('song').textContent = [state.title, state.artist].filter(Boolean).join(' - ');
+        el('playIcon').className = `fas fa-${state.playing ? 'pause' : 'play'}`;
+    }
+
+    /**
+     * Draw text, shrinking the font until it fits the width
+     */
+    fitText(ctx, text, y, size, weight, color) {
+        const maxWidth = CANVAS_WIDTH - 80;
+        let fontSize = size;
+        do {
+            ctx.font = `${weight} ${fontSize}px -apple-system, BlinkMacSystemFont, 'PingFang SC', 'Microsoft YaHei', sans-serif`;
+            fontSize -= 2;
+        } while (ctx.measureText(text).width > maxWidth && fontSize > 16);
+        ctx.fillStyle = color;
+        ctx.fillText(text, CANVAS_WIDTH / 2, y, maxWidth);
+    }
+
+    renderCanvas(state) {
+        const ctx = this.canvas.getContext('2d');
+        ctx.fillStyle = '#121212';
+        ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const hasSub = !!state.currentSub;
+        this.fitText(ctx, state.current || '♪', hasSub ? 90 : 110, 56, 700, state.accent || '#1db954');
+        if (hasSub) {
+            this.fitText(ctx, state.currentSub, 155, 32, 400, 'rgba(255, 255, 255, 0.65)');
+        }
+        if (state.next) {
+            this.fitText(ctx, state.next, hasSub ? 215 : 190, 36, 400, 'rgba(255, 255, 255, 0.5)');
+        }
+        const song = [state.title, state.artist].filter(Boolean).join(' - ');
+        if (song) {
+            this.fitText(ctx, song, 270, 24, 400, 'rgba(255, 255, 255, 0.35)');
+        }
+    }
+}
+
+export default { DesktopLyrics };
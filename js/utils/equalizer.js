@@ -0,0 +1,243 @@
+/**
+ * Equalizer
+ * 10-band peaking EQ with bass/treble shelves and a preamp.
+ * Settings and user presets are persisted in localStorage.
+ */
+
+const SETTINGS_KEY = 'qqmusic_eq';
+const PRESETS_KEY = 'qqmusic_eq_presets';
+
+export const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const EQ_RANGE = 12; // ±dB for bands, shelves and preamp
+
+const BASS_SHELF_FREQ = 100;
+const TREBLE_SHELF_FREQ = 8000;
+const BAND_Q = 1.4;
+
+/**
+ * Built-in presets (band gains in dB, low -> high)
+ */
+export const EQ_PRESETS = {
+    flat: { name: '平坦', bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    pop: { name: '流行', bands: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+    rock: { name: '摇滚', bands: [5, 4, 2, -1, -2, -1, 2, 3, 4, 4] },
+    jazz: { name: '爵士', bands: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+    classical: { name: '古典', bands: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4] },
+    electronic: { name: '电子', bands: [5, 4, 1, 0, -2, 2, 1, 1, 4, 5] },
+    vocal: { name: '人声', bands: [-2, -3, -2, 1, 3, 4, 3, 1, 0, -1] },
+    bass_boost: { name: '重低音', bands: [7, 6, 5, 3, 1, 0, 0, 0, 0, 0] },
+    treble_boost: { name: '高音增强', bands: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+    headphones: { name: '耳机', bands: [3, 2, 0, -1, -1, 0, 1, 2, 3, 2] }
+};
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    preset: 'flat',
+    bands: [...EQ_PRESETS.flat.bands],
+    bass: 0,
+    treble: 0,
+    preamp: 0
+};
+
+function clampDb(value) {
+    return Math.max(-EQ_RANGE, Math.min(EQ_RANGE, Number(value) || 0));
+}
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+export class Equalizer {
+    constructor() {
+        this.settings = { ...DEFAULT_SETTINGS, bands: [...DEFAULT_SETTINGS.bands] };
+        this.userPresets = {}; // id -> { name, bands, bass, treble, preamp }
+        this.nodes = null;
+        this.onChange = null;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(SETTINGS_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.settings = {
+                    ...DEFAULT_SETTINGS,
+                    ...data,
+                    bands: EQ_BANDS.map((_, i) => clampDb(data.bands?.[i]))
+                };
+            }
+
+            const presets = localStorage.getItem(PRESETS_KEY);
+            if (presets) {
+                this.userPresets = JSON.parse(presets);
+            }
+        } catch (e) {
+            console.warn('Failed to load equalizer settings', e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+            localStorage.setItem(PRESETS_KEY, JSON.stringify(this.userPresets));
+        } catch (e) {
+            console.warn('Failed to save equalizer settings', e);
+        }
+    }
+
+    /**
+     * Build the filter chain: preamp -> bass shelf -> 10 bands -> treble shelf
+     * @param {AudioContext} ctx
+     * @returns {{input: AudioNode, output: AudioNode}}
+     */
+    attach(ctx) {
+        const preamp = ctx.createGain();
+
+        const bass = ctx.createBiquadFilter();
+        bass.type = 'lowshelf';
+        bass.frequency.value = BASS_SHELF_FREQ;
+
+        const bands = EQ_BANDS.map(freq => {
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'peaking';
+            filter.frequency.value = freq;
+            filter.Q.value = BAND_Q;
+            return filter;
+        });
+
+        const treble = ctx.createBiquadFilter();
+        treble.type = 'highshelf';
+        treble.frequency.value = TREBLE_SHELF_FREQ;
+
+        [preamp, bass, ...bands, treble].reduce((prev, node) => {
+            prev.connect(node);
+            return node;
+        });
+
+        this.nodes = { ctx, preamp, bass, bands, treble };
+        this.apply();
+
+        return { input: preamp, output: treble };
+    }
+
+    /**
+     * Push current settings to the filter nodes.
+     * When disabled every stage sits at 0 dB, which is transparent.
+     */
+    apply() {
+        if (this.nodes) {
+            const { ctx, preamp, bass, bands, treble } = this.nodes;
+            const on = this.settings.enabled;
+            const now = ctx.currentTime;
+            const set = (param, value) => param.setTargetAtTime(value, now, 0.02);
+
+            set(preamp.gain, dbToGain(on ? this.settings.preamp : 0));
+            set(bass.gain, on ? this.settings.bass : 0);
+            set(treble.gain, on ? this.settings.treble : 0);
+            bands.forEach((filter, i) => set(filter.gain, on ? this.settings.bands[i] : 0));
+        }
+
+        this.save();
+        if (this.onChange) this.onChange(this.settings);
+    }
+
+    setEnabled(enabled) {
+        this.settings.enabled = !!enabled;
+        this.apply();
+    }
+
+    setBand(index, db) {
+        if (index < 0 || index >= EQ_BANDS.length) return;
+        this.settings.bands[index] = clampDb(db);
+        this.settings.preset = 'custom';
+        this.apply();
+    }
+
+    setBass(db) {
+        this.settings.bass = clampDb(db);
+        this.settings.preset = 'custom';
+        this.apply();
+    }
+
+    setTreble(db) {
+        this.settings.treble = clampDb(db);
+        this.settings.preset = 'custom';
+        this.apply();
+    }
+
+    setPreamp(db) {
+        this.settings.preamp = clampDb(db);
+        this.apply();
+    }
+
+    /**
+     * All selectable presets: built-in first, then user presets
+     * @returns {Array<{id: string, name: string, user: boolean}>}
+     */
+    getPresets() {
+        return [
+            ...Object.entries(EQ_PRESETS).map(([id, p]) => ({ id, name: p.name, user: false })),
+            ...Object.entries(this.userPresets).map(([id, p]) => ({ id, name: p.name, user: true }))
+        ];
+    }
+
+    applyPreset(id) {
+        const preset = EQ_PRESETS[id] || this.userPresets[id];
+        if (!preset) return false;
+
+        this.settings = {
+            ...this.settings,
+            enabled: true,
+            preset: id,
+            bands: EQ_BANDS.map((_, i) => clampDb(preset.bands[i])),
+            // Built-in presets define bands only, so shelves reset; user presets restore everything
+            bass: clampDb(preset.bass),
+            treble: clampDb(preset.treble),
+            preamp: preset.preamp !== undefined ? clampDb(preset.preamp) : this.settings.preamp
+        };
+        this.apply();
+        return true;
+    }
+
+    /**
+     * Save the current curve as a user preset (overwrites one with the same name)
+     * @param {string} name - Display name, e.g. the headphone model
+     * @returns {string} - Preset id
+     */
+    savePreset(name) {
+        const existing = Object.entries(this.userPresets).find(([, p]) => p.name === name);
+        const id = existing ? existing[0] : `user_${Date.now()}`;
+
+        this.userPresets[id] = {
+            name,
+            bands: [...this.settings.bands],
+            bass: this.settings.bass,
+            treble: this.settings.treble,
+            preamp: this.settings.preamp
+        };
+        this.settings.preset = id;
+        this.apply();
+        return id;
+    }
+
+    deletePreset(id) {
+        if (!this.userPresets[id]) return;
+        delete this.userPresets[id];
+        if (this.settings.preset === id) {
+            this.settings.preset = 'custom';
+        }
+        this.apply();
+    }
+
+    reset() {
+        this.applyPreset('flat');
+        this.settings.bass = 0;
+        this.settings.treble = 0;
+        this.settings.preamp = 0;
+        this.apply();
+    }
+}
+
+export default { Equalizer, EQ_BANDS, EQ_PRESETS, EQ_RANGE };
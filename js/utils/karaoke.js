@@ -0,0 +1,194 @@
+/**
+ * Karaoke
+ * Vocal reduction and key change as one processing stage.
+ * Vocals are usually mixed to the center, so the mid (L+R) channel is
+ * band-stopped over the vocal range while the side (L-R) channel passes
+ * untouched; bass and cymbals in the mid survive. The key change is a
+ * delay-line pitch shifter: two voices whose delay ramps up or down,
+ * crossfaded so the ramp resets are not heard.
+ */
+
+export const KEY_RANGE = 6; // ± semitones
+
+const VOCAL_LOW_CUT = 150; // Mid content below this is kept (bass, kick)
+const VOCAL_HIGH_CUT = 7000; // Mid content above this is kept (cymbals, air)
+
+const GRAIN_TIME = 0.1; // Seconds each pitch-shift voice ramps for
+const GRAIN_FADE = 0.05; // Crossfade between the two voices
+
+/**
+ * One voice cycle: the ramp while the voice is active, then silence while the
+ * other voice takes over
+ * @param {boolean} up - Falling delay (pitch up) instead of rising
+ */
+function createRampBuffer(ctx, up) {
+    const active = Math.round(GRAIN_TIME * ctx.sampleRate);
+    const length = active + Math.round((GRAIN_TIME - 2 * GRAIN_FADE) * ctx.sampleRate);
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < active; i++) {
+        data[i] = up ? 1 - i / active : i / active;
+    }
+    return buffer;
+}
+
+/**
+ * Equal-power fade in / hold / fade out over the active part of a cycle
+ */
+function createFadeBuffer(ctx) {
+    const active = Math.round(GRAIN_TIME * ctx.sampleRate);
+    const fade = Math.round(GRAIN_FADE * ctx.sampleRate);
+    const length = active + Math.round((GRAIN_TIME - 2 * GRAIN_FADE) * ctx.sampleRate);
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < active; i++) {
+        if (i < fade) {
+            data[i] = Math.sqrt(i / fade);
+        } else if (i >= active - fade) {
+            data[i] = Math.sqrt((active - i) / fade);
+        } else {
+            data[i] = 1;
+        }
+    }
+    return buffer;
+}
+
+export class Karaoke {
+    constructor() {
+        this.settings = { vocal: false, key: 0 };
+        this.nodes = null;
+    }
+
+    /**
+     * Build the graph: mid/side vocal cut -> pitch shifter.
+     * With both off the output equals the input.
+     * @param {AudioContext} ctx
+     * @returns {{input: AudioNode, output: AudioNode}}
+     */
+    attach(ctx) {
+        const input = ctx.createGain();
+        const output = ctx.createGain();
+        const gain = (value) => {
+            const node = ctx.createGain();
+            node.gain.value = value;
+            return node;
+        };
+
+        // ---- Vocal cut: L' = mid' + side, R' = mid' - side ----
+        const splitter = ctx.createChannelSplitter(2);
+        splitter.channelInterpretation = 'speakers'; // Upmix mono sources to both channels
+        input.connect(splitter);
+
+        const mid = ctx.createGain();
+        const side = ctx.createGain();
+        const sideInvert = gain(-1);
+        splitter.connect(gain(0.5), 0).connect(mid);
+        splitter.connect(gain(0.5), 1).connect(mid);
+        splitter.connect(gain(0.5), 0).connect(side);
+        splitter.connect(gain(-0.5), 1).connect(side);
+        side.connect(sideInvert);
+
+        const midFull = gain(1);
+        const midCut = gain(0);
+        const low = ctx.createBiquadFilter();
+        low.type = 'lowpass';
+        low.frequency.value = VOCAL_LOW_CUT;
+        const high = ctx.createBiquadFilter();
+        high.type = 'highpass';
+        high.frequency.value = VOCAL_HIGH_CUT;
+        mid.connect(midFull);
+        mid.connect(low).connect(midCut);
+        mid.connect(high).connect(midCut);
+
+        const left = ctx.createGain();
+        const right = ctx.createGain();
+        [midFull, midCut].forEach(node => {
+            node.connect(left);
+            node.connect(right);
+        });
+        side.connect(left);
+        sideInvert.connect(right);
+
+        const merger = ctx.createChannelMerger(2);
+        left.connect(merger, 0, 0);
+        right.connect(merger, 0, 1);
+
+        // ---- Pitch shifter: dry when the key is unchanged ----
+        const dry = gain(1);
+        const wet = gain(0);
+        merger.connect(dry).connect(output);
+
+        const upRamp = createRampBuffer(ctx, true);
+        const downRamp = createRampBuffer(ctx, false);
+        const fadeBuffer = createFadeBuffer(ctx);
+        const start = ctx.currentTime + 0.05;
+        const loop = (buffer, offset) => {
+            const source = ctx.createBufferSource();
+            source.buffer = buffer;
+            source.loop = true;
+            source.start(start + offset);
+            return source;
+        };
+
+        // Second voice runs half a cycle behind the first
+        const offset = GRAIN_TIME - GRAIN_FADE;
+        const voices = [0, offset].map(delay => {
+            const line = ctx.createDelay(1);
+            line.delayTime.value = 0;
+            const depth = gain(0); // Ramp amplitude in seconds, sets the shift amount
+            const up = gain(0);
+            const down = gain(0);
+            loop(upRamp, delay).connect(up).connect(depth);
+            loop(downRamp, delay).connect(down).connect(depth);
+            depth.connect(line.delayTime);
+
+            const mix = gain(0);
+            loop(fadeBuffer, delay).connect(mix.gain);
+            merger.connect(line).connect(mix).connect(wet);
+            return { depth, up, down };
+        });
+        wet.connect(output);
+
+        this.nodes = { ctx, midFull, midCut, dry, wet, voices };
+        this.apply();
+
+        return { input, output };
+    }
+
+    /**
+     * Push current settings to the graph
+     */
+    apply() {
+        if (!this.nodes) return;
+        const { ctx, midFull, midCut, dry, wet, voices } = this.nodes;
+        const now = ctx.currentTime;
+        const set = (param, value) => param.setTargetAtTime(value, now, 0.02);
+
+        set(midFull.gain, this.settings.vocal ? 0 : 1);
+        set(midCut.gain, this.settings.vocal ? 1 : 0);
+
+        // A delay ramp of slope s plays back at rate 1 - s
+        const ratio = Math.pow(2, this.settings.key / 12);
+        const shifted = this.settings.key !== 0;
+        set(dry.gain, shifted ? 0 : 1);
+        set(wet.gain, shifted ? 1 : 0);
+        voices.forEach(voice => {
+            voice.depth.gain.setValueAtTime(Math.abs(ratio - 1) * GRAIN_TIME, now);
+            voice.up.gain.setValueAtTime(ratio > 1 ? 1 : 0, now);
+            voice.down.gain.setValueAtTime(ratio < 1 ? 1 : 0, now);
+        });
+    }
+
+    /**
+     * @param {Object} settings - { vocal: boolean, key: semitones }
+     */
+    set(settings) {
+        this.settings = {
+            vocal: !!settings.vocal,
+            key: Math.max(-KEY_RANGE, Math.min(KEY_RANGE, Math.round(Number(settings.key) || 0)))
+        };
+        this.apply();
+    }
+}
+
+export default { Karaoke, KEY_RANGE };
@@ -0,0 +1,336 @@
+/**
+ * Loudness Normalization
+ * ITU-R BS.1770 integrated loudness (LUFS) measured once per track,
+ * either from a decoded AudioBuffer or live from the playing stream.
+ * Results are cached per song mid in localStorage.
+ */
+
+const MODE_KEY = 'qqmusic_normalize';
+const CACHE_KEY = 'qqmusic_loudness';
+const MAX_CACHE_ENTRIES = 2000;
+
+export const NORMALIZE_MODES = ['off', 'track', 'album'];
+export const TARGET_LUFS = -14;
+const MAX_BOOST_DB = 9;
+const MAX_CUT_DB = -15;
+
+const BLOCK_SECONDS = 0.4; // Gating block length
+const BLOCK_OVERLAP = 0.75;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const MEASURE_CHUNK_SECONDS = 2; // Audio measured between yields to the main thread
+
+// Channel weights (L, R, C, Ls, Rs)
+const CHANNEL_WEIGHTS = [1, 1, 1, 1.41, 1.41];
+
+/**
+ * K-weighting biquad coefficients (pre-filter shelf + RLB high-pass) for a sample rate
+ */
+function kWeightingCoefficients(sampleRate) {
+    const shelf = (() => {
+        const G = 4.0, Q = 1 / Math.SQRT2, fc = 1500;
+        const A = Math.pow(10, G / 40);
+        const w0 = 2 * Math.PI * fc / sampleRate;
+        const alpha = Math.sin(w0) / (2 * Q);
+        const cos = Math.cos(w0);
+        const sqA = 2 * Math.sqrt(A) * alpha;
+        const a0 = (A + 1) - (A - 1) * cos + sqA;
+        return {
+            b: [A * ((A + 1) + (A - 1) * cos + sqA) / a0, -2 * A * ((A - 1) + (A + 1) * cos) / a0, A * ((A + 1) + (A - 1) * cos - sqA) / a0],
+            a: [2 * ((A - 1) - (A + 1) * cos) / a0, ((A + 1) - (A - 1) * cos - sqA) / a0]
+        };
+    })();
+
+    const highpass = (() => {
+        const Q = 0.5, fc = 38;
+        const w0 = 2 * Math.PI * fc / sampleRate;
+        const alpha = Math.sin(w0) / (2 * Q);
+        const cos = Math.cos(w0);
+        const a0 = 1 + alpha;
+        return {
+            b: [(1 + cos) / 2 / a0, -(1 + cos) / a0, (1 + cos) / 2 / a0],
+            a: [-2 * cos / a0, (1 - alpha) / a0]
+        };
+    })();
+
+    return [shelf, highpass];
+}
+
+function blockLoudness(weightedPower) {
+    return -0.691 + 10 * Math.log10(weightedPower);
+}
+
+/**
+ * Two-stage gating over per-block weighted mean-square values
+ * @param {Array<number>} blockPowers - Sum over channels of G_i * z_i per block
+ * @returns {number|null} - Integrated loudness in LUFS, null if everything is gated (silence)
+ */
+export function gatedLoudness(blockPowers) {
+    const aboveAbsolute = blockPowers.filter(p => p > 0 && blockLoudness(p) > ABSOLUTE_GATE);
+    if (aboveAbsolute.length === 0) return null;
+
+    const mean = (arr) => arr.reduce((sum, p) => sum + p, 0) / arr.length;
+    const relativeGate = blockLoudness(mean(aboveAbsolute)) + RELATIVE_GATE;
+
+    const gated = aboveAbsolute.filter(p => blockLoudness(p) > relativeGate);
+    if (gated.length === 0) return null;
+
+    return blockLoudness(mean(gated));
+}
+
+/**
+ * Measure integrated loudness and sample peak of a decoded buffer.
+ * Filters sample by sample and keeps only per-hop sums (a quarter block each),
+ * so nothing track-length is allocated; yields to the main thread every chunk.
+ * @param {AudioBuffer} buffer
+ * @returns {Promise<{lufs: number, peak: number}|null>}
+ */
+export async function measureLoudness(buffer) {
+    const rate = buffer.sampleRate;
+    const hopSize = Math.round(BLOCK_SECONDS * (1 - BLOCK_OVERLAP) * rate);
+    const hopsPerBlock = Math.round(1 / (1 - BLOCK_OVERLAP));
+    const blockSize = hopSize * hopsPerBlock;
+    const [shelf, highpass] = kWeightingCoefficients(rate);
+
+    const channelCount = Math.min(buffer.numberOfChannels, CHANNEL_WEIGHTS.length);
+    const hopCount = Math.floor(buffer.length / hopSize);
+    const hopPowers = new Float64Array(hopCount); // Channel-weighted sum of squares per hop
+    const chunkSize = hopSize * Math.round(MEASURE_CHUNK_SECONDS / (BLOCK_SECONDS * (1 - BLOCK_OVERLAP)));
+    let peak = 0;
+
+    for (let ch = 0; ch < channelCount; ch++) {
+        const raw = buffer.getChannelData(ch);
+        const weight = CHANNEL_WEIGHTS[ch];
+        // Biquad states: shelf then high-pass
+        let sx1 = 0, sx2 = 0, sy1 = 0, sy2 = 0;
+        let hx1 = 0, hx2 = 0, hy1 = 0, hy2 = 0;
+        const end = hopCount * hopSize;
+
+        for (let chunk = 0; chunk < end; chunk += chunkSize) {
+            const chunkEnd = Math.min(end, chunk + chunkSize);
+            for (let hop = chunk / hopSize; hop * hopSize < chunkEnd; hop++) {
+                let sum = 0;
+                for (let i = hop * hopSize, last = i + hopSize; i < last; i++) {
+                    const x = raw[i];
+                    const abs = Math.abs(x);
+                    if (abs > peak) peak = abs;
+
+                    const shelved = shelf.b[0] * x + shelf.b[1] * sx1 + shelf.b[2] * sx2 - shelf.a[0] * sy1 - shelf.a[1] * sy2;
+                    sx2 = sx1; sx1 = x;
+                    sy2 = sy1; sy1 = shelved;
+
+                    const y = highpass.b[0] * shelved + highpass.b[1] * hx1 + highpass.b[2] * hx2 - highpass.a[0] * hy1 - highpass.a[1] * hy2;
+                    hx2 = hx1; hx1 = shelved;
+                    hy2 = hy1; hy1 = y;
+
+                    sum += y * y;
+                }
+                hopPowers[hop] += weight * sum;
+            }
+            // Keep playback and the UI responsive
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    const blockPowers = [];
+    for (let j = 0; j + hopsPerBlock <= hopCount; j++) {
+        let sum = 0;
+        for (let k = 0; k < hopsPerBlock; k++) sum += hopPowers[j + k];
+        blockPowers.push(sum / blockSize);
+    }
+
+    const lufs = gatedLoudness(blockPowers);
+    return lufs === null ? null : { lufs, peak };
+}
+
+/**
+ * Live loudness meter for when the stream cannot be fetched and decoded.
+ * Taps a source node through Web Audio K-weighting filters and collects
+ * 400ms blocks from per-channel analysers.
+ */
+export class LiveLoudnessMeter {
+    constructor(ctx, source) {
+        this.ctx = ctx;
+        this.source = source;
+        this.blockPowers = [];
+        this.pending = []; // Mean-square samples for the block in progress
+        this.timer = null;
+
+        const shelf = ctx.createBiquadFilter();
+        shelf.type = 'highshelf';
+        shelf.frequency.value = 1681;
+        shelf.gain.value = 4;
+
+        const highpass = ctx.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 38;
+        highpass.Q.value = 0.5;
+
+        const splitter = ctx.createChannelSplitter(2);
+        this.analysers = [0, 1].map(ch => {
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = 2048;
+            splitter.connect(analyser, ch);
+            return analyser;
+        });
+
+        source.connect(shelf);
+        shelf.connect(highpass);
+        highpass.connect(splitter);
+        this.nodes = [shelf, highpass, splitter];
+
+        this.buffer = new Float32Array(2048);
+        const interval = (2048 / ctx.sampleRate) * 1000;
+        this.samplesPerBlock = Math.max(1, Math.round(BLOCK_SECONDS * 1000 / interval));
+        this.timer = setInterval(() => this.sample(), interval);
+    }
+
+    sample() {
+        let power = 0;
+        this.analysers.forEach((analyser, ch) => {
+            analyser.getFloatTimeDomainData(this.buffer);
+            let sum = 0;
+            for (let i = 0; i < this.buffer.length; i++) {
+                sum += this.buffer[i] * this.buffer[i];
+            }
+            power += CHANNEL_WEIGHTS[ch] * (sum / this.buffer.length);
+        });
+
+        this.pending.push(power);
+        if (this.pending.length >= this.samplesPerBlock) {
+            this.blockPowers.push(this.pending.reduce((a, b) => a + b, 0) / this.pending.length);
+            this.pending = [];
+        }
+    }
+
+    /**
+     * Seconds of audio measured so far
+     */
+    get measuredSeconds() {
+        return this.blockPowers.length * BLOCK_SECONDS;
+    }
+
+    /**
+     * Stop metering and return the result (peak is unknown when metering live)
+     * @returns {{lufs: number, peak: null}|null}
+     */
+    stop() {
+        clearInterval(this.timer);
+        try {
+            this.source.disconnect(this.nodes[0]);
+        } catch (e) {
+            // Already disconnected
+        }
+        this.nodes.forEach(node => node.disconnect());
+
+        const lufs = gatedLoudness(this.blockPowers);
+        return lufs === null ? null : { lufs, peak: null };
+    }
+}
+
+/**
+ * Per-mid loudness cache and gain calculation
+ */
+export class LoudnessNormalizer {
+    constructor() {
+        this.mode = 'off';
+        this.cache = {}; // mid -> { lufs, peak, album }
+        this.load();
+    }
+
+    load() {
+        try {
+            const mode = localStorage.getItem(MODE_KEY);
+            if (NORMALIZE_MODES.includes(mode)) {
+                this.mode = mode;
+            }
+            const saved = localStorage.getItem(CACHE_KEY);
+            if (saved) {
+                this.cache = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load loudness cache', e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(MODE_KEY, this.mode);
+            localStorage.setItem(CACHE_KEY, JSON.stringify(this.cache));
+        } catch (e) {
+            console.warn('Failed to save loudness cache', e);
+        }
+    }
+
+    setMode(mode) {
+        if (!NORMALIZE_MODES.includes(mode)) return;
+        this.mode = mode;
+        this.save();
+    }
+
+    has(mid) {
+        return !!this.cache[mid];
+    }
+
+    /**
+     * Store a measurement. A buffer measurement (with peak) replaces a live one.
+     */
+    record(mid, result, album = '') {
+        if (!mid || !result) return;
+        const existing = this.cache[mid];
+        if (existing && existing.peak !== null && result.peak === null) return;
+
+        delete this.cache[mid]; // Re-insert so the entry becomes the newest
+        this.cache[mid] = {
+            lufs: Math.round(result.lufs * 100) / 100,
+            peak: result.peak === null ? null : Math.round(result.peak * 10000) / 10000,
+            album
+        };
+
+        const keys = Object.keys(this.cache);
+        if (keys.length > MAX_CACHE_ENTRIES) {
+            keys.slice(0, keys.length - MAX_CACHE_ENTRIES).forEach(k => delete this.cache[k]);
+        }
+        this.save();
+    }
+
+    /**
+     * Album loudness: energy average of every cached track from the same album
+     */
+    albumStats(album) {
+        const tracks = Object.values(this.cache).filter(t => album && t.album === album);
+        if (tracks.length === 0) return null;
+
+        const energy = tracks.reduce((sum, t) => sum + Math.pow(10, t.lufs / 10), 0) / tracks.length;
+        const peaks = tracks.map(t => t.peak).filter(p => p !== null);
+        return {
+            lufs: 10 * Math.log10(energy),
+            peak: peaks.length ? Math.max(...peaks) : null
+        };
+    }
+
+    /**
+     * Gain to apply in dB for the current mode (0 when off or not measured yet)
+     * @param {string} mid - Song mid
+     * @param {string} album - Album key
+     */
+    getGainDb(mid, album = '') {
+        if (this.mode === 'off') return 0;
+
+        const track = this.cache[mid];
+        if (!track) return 0;
+
+        const stats = this.mode === 'album' ? (this.albumStats(album || track.album) || track) : track;
+        let gain = TARGET_LUFS - stats.lufs;
+
+        // Never boost past the sample peak
+        if (stats.peak) {
+            const headroom = -20 * Math.log10(stats.peak);
+            gain = Math.min(gain, Math.max(0, headroom));
+        }
+
+        return Math.max(MAX_CUT_DB, Math.min(MAX_BOOST_DB, gain));
+    }
+}
+
+export default { LoudnessNormalizer, LiveLoudnessMeter, measureLoudness, gatedLoudness, NORMALIZE_MODES, TARGET_LUFS };
@@ -0,0 +1,220 @@
+/**
+ * Lyric Cache
+ * Decrypted lyrics (lyric/trans/roma) stored per song mid in IndexedDB,
+ * so repeat plays and offline playback skip the fetch and decrypt round-trip.
+ * A small in-memory map sits in front for the current session.
+ * Lyrics the user imported from a file live in a separate store that is never pruned.
+ */
+
+const DB_NAME = 'qqmusic';
+const DB_VERSION = 2;
+const STORE_NAME = 'lyrics';
+const OVERRIDE_STORE = 'overrides';
+const MAX_ENTRIES = 1000;
+const MAX_MEMORY_ENTRIES = 50;
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class LyricCache {
+    constructor() {
+        this.memory = new Map(); // mid -> { lyric, trans, roma }
+        this.pending = new Map(); // mid -> in-flight load promise
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (!('indexedDB' in window)) {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'mid' });
+                    store.createIndex('savedAt', 'savedAt');
+                }
+                if (!db.objectStoreNames.contains(OVERRIDE_STORE)) {
+                    db.createObjectStore(OVERRIDE_STORE, { keyPath: 'mid' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                // Private mode or storage disabled: memory cache only
+                console.warn('LyricCache: IndexedDB unavailable', request.error);
+                resolve(null);
+            };
+        });
+        return this.dbPromise;
+    }
+
+    remember(mid, lyrics) {
+        this.memory.delete(mid); // Re-insert so the entry becomes the newest
+        this.memory.set(mid, lyrics);
+        if (this.memory.size > MAX_MEMORY_ENTRIES) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - { lyric, trans, roma } or null if not cached
+     */
+    async get(mid) {
+        if (this.memory.has(mid)) return this.memory.get(mid);
+
+        const db = await this.open();
+        if (!db) return null;
+
+        try {
+            const entry = await requestResult(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(mid));
+            if (!entry) return null;
+
+            const lyrics = { lyric: entry.lyric, trans: entry.trans, roma: entry.roma };
+            this.remember(mid, lyrics);
+            return lyrics;
+        } catch (e) {
+            console.warn('LyricCache: read failed', e);
+            return null;
+        }
+    }
+
+    async put(mid, lyrics) {
+        const entry = { lyric: lyrics.lyric || '', trans: lyrics.trans || '', roma: lyrics.roma || '' };
+        this.remember(mid, entry);
+
+        const db = await this.open();
+        if (!db) return;
+
+        try {
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE_NAME, 'readwrite');
+                tx.objectStore(STORE_NAME).put({ mid, ...entry, savedAt: Date.now() });
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+            await this.prune(db);
+        } catch (e) {
+            console.warn('LyricCache: write failed', e);
+        }
+    }
+
+    /**
+     * Drop the oldest entries beyond MAX_ENTRIES
+     */
+    async prune(db) {
+        const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        const count = await requestResult(store.count());
+
+        let excess = count - MAX_ENTRIES;
+        if (excess <= 0) return;
+
+        const cursorRequest = store.index('savedAt').openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || excess <= 0) return;
+            cursor.delete();
+            excess--;
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Lyrics the user attached to this song, which take precedence over the API
+     * @returns {Promise<Object|null>} - { lyric, trans, roma, name } or null
+     */
+    async getOverride(mid) {
+        const db = await this.open();
+        if (!db) return null;
+
+        try {
+            const entry = await requestResult(db.transaction(OVERRIDE_STORE, 'readonly').objectStore(OVERRIDE_STORE).get(mid));
+            return entry ? { lyric: entry.lyric, trans: entry.trans, roma: entry.roma, name: entry.name } : null;
+        } catch (e) {
+            console.warn('LyricCache: override read failed', e);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} mid
+     * @param {Object} lyrics - { lyric, trans, roma }
+     * @param {string} name - Source file name
+     * @returns {Promise<boolean>} - False if it could not be stored
+     */
+    async setOverride(mid, lyrics, name = '') {
+        const db = await this.open();
+        if (!db) return false;
+
+        try {
+            await requestResult(db.transaction(OVERRIDE_STORE, 'readwrite').objectStore(OVERRIDE_STORE).put({
+                mid,
+                lyric: lyrics.lyric || '',
+                trans: lyrics.trans || '',
+                roma: lyrics.roma || '',
+                name,
+                savedAt: Date.now()
+            }));
+            return true;
+        } catch (e) {
+            console.warn('LyricCache: override write failed', e);
+            return false;
+        }
+    }
+
+    async removeOverride(mid) {
+        const db = await this.open();
+        if (!db) return;
+
+        try {
+            await requestResult(db.transaction(OVERRIDE_STORE, 'readwrite').objectStore(OVERRIDE_STORE).delete(mid));
+        } catch (e) {
+            console.warn('LyricCache: override delete failed', e);
+        }
+    }
+
+    /**
+     * Cached lyrics, or fetch, store and return them. Concurrent calls for
+     * the same mid share one request.
+     * @param {string} mid
+     * @param {Function} fetcher - (mid) => Promise<{ lyric, trans, roma }>
+     */
+    load(mid, fetcher) {
+        if (this.pending.has(mid)) return this.pending.get(mid);
+
+        const promise = (async () => {
+            try {
+                const cached = await this.get(mid);
+                if (cached) return cached;
+
+                const lyrics = await fetcher(mid);
+                // Songs without lyrics are not stored; they may get lyrics later
+                if (lyrics && lyrics.lyric) {
+                    await this.put(mid, lyrics);
+                }
+                return lyrics;
+            } finally {
+                this.pending.delete(mid);
+            }
+        })();
+        this.pending.set(mid, promise);
+        return promise;
+    }
+
+    /**
+     * Warm the cache without waiting for the result
+     */
+    prefetch(mid, fetcher) {
+        if (!mid || this.memory.has(mid) || this.pending.has(mid)) return;
+        this.load(mid, fetcher).catch(e => console.warn('LyricCache: prefetch failed', e));
+    }
+}
+
+export default { LyricCache };
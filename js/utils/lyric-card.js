@@ -0,0 +1,174 @@
+/**
+ * Lyric Card
+ * Renders selected lyric lines as a shareable PNG card: cover, title and
+ * artist on a background tinted with the cover's dominant color.
+ */
+
+import { extractDominantColor } from './color.js';
+
+const CARD_WIDTH = 1080;
+const PADDING = 80;
+const COVER_SIZE = 180;
+const QUOTE_SPACE = 60; // Room for the opening quote mark above the first line
+const LINE_FONT = 52;
+const SUB_FONT = 32;
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'PingFang SC', 'Microsoft YaHei', sans-serif";
+
+/**
+ * Load an image through the same CORS-friendly proxy the color extraction uses,
+ * so the canvas stays exportable
+ */
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'Anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = `https://wsrv.nl/?url=${encodeURIComponent(url)}&output=jpg`;
+    });
+}
+
+async function loadCover(candidates) {
+    for (const url of candidates) {
+        try {
+            return await loadImage(url);
+        } catch (e) {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+/**
+ * Break text into lines that fit maxWidth; CJK text has no spaces, so wrap per character
+ */
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const char of text) {
+        if (ctx.measureText(line + char).width > maxWidth && line) {
+            lines.push(line.trimEnd());
+            line = char.trimStart();
+        } else {
+            line += char;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+}
+
+/**
+ * @param {Object} options
+ * @param {Array} options.lines - [{ text, sub }]
+ * @param {string} options.title
+ * @param {string} options.artist
+ * @param {string[]} options.coverCandidates - From getCoverCandidates
+ * @param {boolean} options.includeSub - Draw the translation under each line
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderLyricCard({ lines, title, artist, coverCandidates = [], includeSub = true }) {
+    const [cover, color] = await Promise.all([
+        loadCover(coverCandidates),
+        coverCandidates.length
+            ? extractDominantColor(coverCandidates[0]).catch(() => null)
+            : Promise.resolve(null)
+    ]);
+    const tint = color || { r: 29, g: 185, b: 84 };
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const textWidth = CARD_WIDTH - PADDING * 2;
+
+    // Lay out the text first to know the card height
+    const blocks = lines.map(line => {
+        ctx.font = `700 ${LINE_FONT}px ${FONT_FAMILY}`;
+        const main = wrapText(ctx, line.text, textWidth);
+        ctx.font = `400 ${SUB_FONT}px ${FONT_FAMILY}`;
+        const sub = includeSub && line.sub ? wrapText(ctx, line.sub, textWidth) : [];
+        return { main, sub };
+    });
+
+    const lineHeight = LINE_FONT * 1.4;
+    const subHeight = SUB_FONT * 1.5;
+    const blockGap = 36;
+    const textHeight = blocks.reduce((h, b) => h + b.main.length * lineHeight + b.sub.length * subHeight, 0)
+        + blockGap * Math.max(0, blocks.length - 1);
+    const height = PADDING + QUOTE_SPACE + textHeight + 80 + COVER_SIZE + PADDING;
+
+    canvas.width = CARD_WIDTH;
+    canvas.height = Math.round(height);
+
+    // Background: dominant color fading into the app's dark background
+    const bg = ctx.createLinearGradient(0, 0, 0, canvas.height);
+    bg.addColorStop(0, `rgb(${Math.round(tint.r * 0.55)}, ${Math.round(tint.g * 0.55)}, ${Math.round(tint.b * 0.55)})`);
+    bg.addColorStop(1, '#121212');
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Quote mark
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.font = `700 160px Georgia, serif`;
+    ctx.textBaseline = 'top';
+    ctx.fillText('“', PADDING - 20, PADDING - 40);
+
+    // Lyrics
+    let y = PADDING + QUOTE_SPACE;
+    blocks.forEach((block, i) => {
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `700 ${LINE_FONT}px ${FONT_FAMILY}`;
+        block.main.forEach(text => {
+            ctx.fillText(text, PADDING, y);
+            y += lineHeight;
+        });
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.65)';
+        ctx.font = `400 ${SUB_FONT}px ${FONT_FAMILY}`;
+        block.sub.forEach(text => {
+            ctx.fillText(text, PADDING, y);
+            y += subHeight;
+        });
+        if (i < blocks.length - 1) y += blockGap;
+    });
+
+    // Song info: cover + title + artist
+    const infoY = canvas.height - PADDING - COVER_SIZE;
+    if (cover) {
+        ctx.save();
+        roundRect(ctx, PADDING, infoY, COVER_SIZE, COVER_SIZE, 16);
+        ctx.clip();
+        ctx.drawImage(cover, PADDING, infoY, COVER_SIZE, COVER_SIZE);
+        ctx.restore();
+    }
+
+    const infoX = cover ? PADDING + COVER_SIZE + 36 : PADDING;
+    const infoWidth = CARD_WIDTH - infoX - PADDING;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `700 40px ${FONT_FAMILY}`;
+    ctx.fillText(title || '', infoX, infoY + COVER_SIZE / 2 - 28, infoWidth);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = `400 30px ${FONT_FAMILY}`;
+    ctx.fillText(artist || '', infoX, infoY + COVER_SIZE / 2 + 28, infoWidth);
+
+    return canvas;
+}
+
+/**
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas export failed')), 'image/png');
+    });
+}
+
+export default { renderLyricCard, canvasToBlob };
@@ -0,0 +1,264 @@
+/**
+ * Lyric Timing Editor
+ * Tap-to-sync: paste plain lyric text, play the song and stamp each line's
+ * start time, then fine-tune. Owns the editor panel DOM; the app handles
+ * playback, preview and saving through callbacks.
+ */
+
+import { formatLrcTime } from './lyric-import.js';
+
+const NUDGE_STEP = 0.1;
+const FINE_NUDGE_STEP = 0.01;
+
+export class LyricEditor {
+    constructor() {
+        this.els = {
+            panel: document.getElementById('lyric-editor'),
+            textPane: document.getElementById('lyric-editor-text-pane'),
+            syncPane: document.getElementById('lyric-editor-sync-pane'),
+            input: document.getElementById('lyric-editor-input'),
+            lines: document.getElementById('lyric-editor-lines')
+        };
+
+        this.lines = []; // [{ text, time: seconds | null }]
+        this.selected = 0;
+        this.active = false;
+        this.dirty = false;
+
+        // Set by the app
+        this.getTime = null; // () => current playback time
+        this.onChange = null; // (timedLines) => void, for the live preview
+        this.onSeek = null; // (time) => void
+        this.onSave = null; // (timedLines) => void
+        this.onExport = null; // (timedLines) => void
+        this.onClose = null; // (saved) => void
+        this.onSelect = null; // () => void, selection moved
+
+        this.initListeners();
+    }
+
+    initListeners() {
+        document.getElementById('lyric-editor-start').onclick = () => {
+            this.setText(this.els.input.value);
+            if (this.lines.length === 0) return;
+            this.showSync();
+            this.changed();
+        };
+        document.getElementById('lyric-editor-edit-text').onclick = () => this.showText();
+        document.getElementById('lyric-editor-save').onclick = () => {
+            if (this.onSave) this.onSave(this.timedLines());
+            this.dirty = false;
+            this.close(true);
+        };
+        document.getElementById('lyric-editor-export').onclick = () => {
+            if (this.onExport) this.onExport(this.timedLines());
+        };
+        document.getElementById('lyric-editor-close').onclick = () => this.requestClose();
+
+        this.els.lines.onclick = (e) => {
+            const row = e.target.closest('[data-index]');
+            if (!row) return;
+            this.select(parseInt(row.dataset.index));
+            const time = this.lines[this.selected].time;
+            if (time !== null && this.onSeek) this.onSeek(time);
+        };
+    }
+
+    /**
+     * @param {Array} lines - [{ text, time }] to start from, e.g. the current lyrics
+     */
+    open(lines = []) {
+        this.lines = lines.map(l => ({ text: l.text, time: l.time ?? null }));
+        this.selected = 0;
+        this.dirty = false;
+        this.active = true;
+        this.els.panel.hidden = false;
+
+        if (this.lines.length > 0) {
+            this.showSync();
+        } else {
+            this.showText();
+        }
+    }
+
+    close(saved = false) {
+        if (!this.active) return;
+        this.active = false;
+        this.els.panel.hidden = true;
+        if (this.onClose) this.onClose(saved);
+    }
+
+    /**
+     * Close, confirming first if there are unsaved changes
+     */
+    requestClose() {
+        if (this.dirty && !confirm('放弃未保存的打轴结果？')) return;
+        this.close(false);
+    }
+
+    /**
+     * One line per row; an existing [mm:ss.xx] stamp is kept
+     */
+    setText(text) {
+        this.lines = text.split(/\r?\n/)
+            .map(raw => {
+                const match = raw.match(/^\s*\[(\d+):(\d+(?:\.\d+)?)\](.*)$/);
+                if (match) {
+                    return { text: match[3].trim(), time: parseInt(match[1]) * 60 + parseFloat(match[2]) };
+                }
+                return { text: raw.trim(), time: null };
+            })
+            .filter(l => l.text);
+        this.selected = Math.max(0, this.lines.findIndex(l => l.time === null));
+    }
+
+    showText() {
+        this.els.input.value = this.lines
+            .map(l => l.time !== null ? `[${formatLrcTime(l.time)}]${l.text}` : l.text)
+            .join('\n');
+        this.els.textPane.hidden = false;
+        this.els.syncPane.hidden = true;
+        this.els.input.focus();
+    }
+
+    showSync() {
+        this.els.textPane.hidden = true;
+        this.els.syncPane.hidden = false;
+        this.els.input.blur();
+        this.renderLines();
+    }
+
+    /**
+     * Stamped lines, sorted by time
+     */
+    timedLines() {
+        return this.lines
+            .filter(l => l.time !== null)
+            .map(l => ({ time: l.time, text: l.text }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    changed() {
+        this.dirty = true;
+        this.renderLines();
+        if (this.onChange) this.onChange(this.timedLines());
+    }
+
+    select(index) {
+        this.selected = Math.max(0, Math.min(this.lines.length - 1, index));
+        this.renderLines();
+        if (this.onSelect) this.onSelect();
+    }
+
+    /**
+     * Stamp the selected line at the current playback time and move to the next one
+     */
+    stamp() {
+        const line = this.lines[this.selected];
+        if (!line || !this.getTime) return;
+        line.time = Math.max(0, this.getTime());
+        this.selected = Math.min(this.lines.length - 1, this.selected + 1);
+        this.changed();
+    }
+
+    /**
+     * Step back one line and clear its stamp, to tap it again
+     */
+    back() {
+        if (this.lines.length === 0) return;
+        const line = this.lines[this.selected];
+        if (line.time === null && this.selected > 0) this.selected--;
+        this.lines[this.selected].time = null;
+        this.changed();
+    }
+
+    nudge(delta) {
+        const line = this.lines[this.selected];
+        if (!line || line.time === null) return;
+        line.time = Math.max(0, Math.round((line.time + delta) * 1000) / 1000);
+        this.changed();
+    }
+
+    /**
+     * Stamped lines in editor order, for waveform markers
+     * @returns {Array} - [{ index, time }]
+     */
+    markers() {
+        return this.lines
+            .map((line, index) => ({ index, time: line.time }))
+            .filter(m => m.time !== null);
+    }
+
+    /**
+     * Set a line's time directly (dragging its waveform marker)
+     */
+    setLineTime(index, time) {
+        const line = this.lines[index];
+        if (!line) return;
+        line.time = Math.max(0, Math.round(time * 1000) / 1000);
+        this.selected = index;
+        this.changed();
+    }
+
+    renderLines() {
+        const fragment = document.createDocumentFragment();
+        this.lines.forEach((line, i) => {
+            const row = document.createElement('div');
+            row.className = `lyric-editor-line${i === this.selected ? ' selected' : ''}${line.time === null ? ' pending' : ''}`;
+            row.dataset.index = i;
+
+            const time = document.createElement('span');
+            time.className = 'lyric-editor-time';
+            time.textContent = line.time !== null ? formatLrcTime(line.time) : '--:--.--';
+
+            const text = document.createElement('span');
+            text.className = 'lyric-editor-text';
+            text.textContent = line.text;
+
+            row.append(time, text);
+            fragment.appendChild(row);
+        });
+
+        this.els.lines.innerHTML = '';
+        this.els.lines.appendChild(fragment);
+        this.els.lines.children[this.selected]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Editor shortcuts; the text pane keeps normal typing
+     * @returns {boolean} - True if the key was handled
+     */
+    handleKey(e) {
+        if (!this.active) return false;
+        if (e.code === 'Escape') {
+            this.requestClose();
+            return true;
+        }
+        if (this.els.syncPane.hidden) return false;
+
+        switch (e.code) {
+            case 'Enter':
+            case 'NumpadEnter':
+                this.stamp();
+                return true;
+            case 'Backspace':
+                this.back();
+                return true;
+            case 'ArrowUp':
+                this.select(this.selected - 1);
+                return true;
+            case 'ArrowDown':
+                this.select(this.selected + 1);
+                return true;
+            case 'ArrowLeft':
+                this.nudge(-(e.shiftKey ? FINE_NUDGE_STEP : NUDGE_STEP));
+                return true;
+            case 'ArrowRight':
+                this.nudge(e.shiftKey ? FINE_NUDGE_STEP : NUDGE_STEP);
+                return true;
+        }
+        return false;
+    }
+}
+
+export default { LyricEditor };
@@ -0,0 +1,126 @@
+/**
+ * Lyric Export
+ * Serializes parsed lyric rows to LRC, SRT, WebVTT or plain text and
+ * downloads the result.
+ */
+
+import { formatLrcTime } from './lyric-import.js';
+
+const LAST_LINE_SECONDS = 5; // End time for the final line when nothing else is known
+const MAX_LINE_SECONDS = 10; // Cap for a line followed by a long instrumental gap
+
+export const LYRIC_EXPORT_FORMATS = {
+    lrc: { label: 'LRC', ext: 'lrc', mime: 'text/plain' },
+    srt: { label: 'SRT 字幕', ext: 'srt', mime: 'application/x-subrip' },
+    vtt: { label: 'WebVTT 字幕', ext: 'vtt', mime: 'text/vtt' },
+    txt: { label: '纯文本', ext: 'txt', mime: 'text/plain' }
+};
+
+/**
+ * Seconds -> "hh:mm:ss,mmm" (SRT) or "hh:mm:ss.mmm" (VTT)
+ */
+function formatCueTime(seconds, separator) {
+    const total = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(total / 3600000);
+    const m = Math.floor((total % 3600000) / 60000);
+    const s = Math.floor((total % 60000) / 1000);
+    const ms = total % 1000;
+    const pad = (n, len = 2) => n.toString().padStart(len, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * End time of each row: its own duration (QRC) when known, otherwise the next
+ * row's start, capped so a line doesn't stay up through a long gap
+ */
+function withEndTimes(rows, songDuration) {
+    return rows.map((row, i) => {
+        const next = rows[i + 1];
+        let end = next ? next.time : (songDuration || row.time + LAST_LINE_SECONDS);
+        if (row.duration) end = Math.min(end, row.time + row.duration);
+        end = Math.min(end, row.time + MAX_LINE_SECONDS);
+        return { ...row, end: Math.max(end, row.time + 0.1) };
+    });
+}
+
+/**
+ * Translation, then romanization: the order parseLyricFile reads them back in
+ * (a single extra line is taken as the translation)
+ */
+function subLines(row) {
+    return [row.trans, row.roma].filter(Boolean);
+}
+
+/**
+ * @param {string} format - Key of LYRIC_EXPORT_FORMATS
+ * @param {Array} rows - [{ time, duration?, text, roma?, trans? }] in playback time; roma and
+ *                       trans are the aligned romanization and translation, included when present
+ * @param {Object} meta - { title, artist, duration }
+ * @returns {string}
+ */
+export function serializeLyrics(format, rows, meta = {}) {
+    const lines = [];
+
+    switch (format) {
+        case 'lrc':
+            if (meta.title) lines.push(`[ti:${meta.title}]`);
+            if (meta.artist) lines.push(`[ar:${meta.artist}]`);
+            rows.forEach(row => {
+                const stamp = `[${formatLrcTime(row.time)}]`;
+                lines.push(`${stamp}${row.text}`);
+                // Bilingual LRC repeats the timestamp for each extra line
+                subLines(row).forEach(sub => lines.push(`${stamp}${sub}`));
+            });
+            break;
+        case 'srt':
+            withEndTimes(rows, meta.duration).forEach((row, i) => {
+                lines.push(String(i + 1));
+                lines.push(`${formatCueTime(row.time, ',')} --> ${formatCueTime(row.end, ',')}`);
+                lines.push(row.text, ...subLines(row));
+                lines.push('');
+            });
+            break;
+        case 'vtt':
+            lines.push('WEBVTT', '');
+            withEndTimes(rows, meta.duration).forEach(row => {
+                lines.push(`${formatCueTime(row.time, '.')} --> ${formatCueTime(row.end, '.')}`);
+                lines.push(row.text, ...subLines(row));
+                lines.push('');
+            });
+            break;
+        case 'txt':
+            rows.forEach(row => {
+                lines.push(row.text, ...subLines(row));
+            });
+            break;
+        default:
+            throw new Error(`Unknown lyric format: ${format}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * "Title - Singer" with characters that are invalid in file names removed
+ */
+export function lyricFileName(title, artist, ext) {
+    const base = [title, artist].filter(Boolean).join(' - ') || 'lyrics';
+    return `${base.replace(/[\\/:*?"<>|]+/g, '_').trim()}.${ext}`;
+}
+
+export function downloadText(content, fileName, mime = 'text/plain') {
+    downloadBlob(new Blob([content], { type: `${mime};charset=utf-8` }), fileName);
+}
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default { serializeLyrics, lyricFileName, downloadText, downloadBlob, LYRIC_EXPORT_FORMATS };
@@ -0,0 +1,206 @@
+/**
+ * Lyric File Import
+ * Turns a local .lrc / enhanced LRC / .qrc / .srt / .vtt file into the
+ * { lyric, trans, roma } shape getLyric returns, normalized so the existing
+ * LRC and QRC parsers can read it. Enhanced LRC word tags become QRC so they
+ * render as karaoke.
+ */
+
+import { extractQrcContent } from '../api/lyric.js';
+
+export const LYRIC_FILE_ACCEPT = '.lrc,.qrc,.srt,.vtt,.txt';
+
+const TIMESTAMP_REGEX = /\[(\d+):(\d+)(?:[.:](\d+))?\]/g;
+const WORD_TAG_REGEX = /<(\d+):(\d+)(?:[.:](\d+))?>/g;
+const LAST_LINE_SECONDS = 5; // Duration for a final line with nothing after it
+
+function toSeconds(minutes, seconds, fraction = '') {
+    return parseInt(minutes) * 60 + parseInt(seconds) + (fraction ? parseInt(fraction.padEnd(3, '0').slice(0, 3)) / 1000 : 0);
+}
+
+/**
+ * Seconds -> "mm:ss.xx" as used in LRC timestamps
+ */
+export function formatLrcTime(seconds) {
+    const total = Math.max(0, Math.round(seconds * 100));
+    const m = Math.floor(total / 6000);
+    const s = Math.floor((total % 6000) / 100);
+    const cs = total % 100;
+    return `${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}.${cs.toString().padStart(2, '0')}`;
+}
+
+function toLrc(entries) {
+    return entries.map(e => `[${formatLrcTime(e.time)}]${e.text}`).join('\n');
+}
+
+/**
+ * Lines as QRC: [lineStartMs,lineDurMs]word(startMs,durMs)...
+ */
+function toQrc(entries) {
+    return entries.map(e => {
+        const ms = (sec) => Math.max(0, Math.round(sec * 1000));
+        const words = e.words.map(w => `${w.text}(${ms(w.start)},${ms(w.duration)})`).join('');
+        return `[${ms(e.time)},${ms(e.duration)}]${words}`;
+    }).join('\n');
+}
+
+/**
+ * Split "<mm:ss.xx>word<mm:ss.xx>word<mm:ss.xx>" into timing marks.
+ * Text before the first tag starts with the line.
+ */
+function parseWordMarks(body, lineTime) {
+    const marks = [];
+    let lastIndex = 0;
+    let time = lineTime;
+    let match;
+
+    WORD_TAG_REGEX.lastIndex = 0;
+    while ((match = WORD_TAG_REGEX.exec(body)) !== null) {
+        const text = body.slice(lastIndex, match.index);
+        if (text || marks.length === 0) marks.push({ time, text });
+        time = toSeconds(match[1], match[2], match[3]);
+        lastIndex = WORD_TAG_REGEX.lastIndex;
+    }
+    // Trailing text, or a closing tag that marks when the last word ends
+    marks.push({ time, text: body.slice(lastIndex) });
+    return marks.filter((m, i) => m.text || i === marks.length - 1);
+}
+
+/**
+ * LRC and enhanced LRC. Handles repeated timestamps ([01:00.00][02:30.00]text),
+ * [offset:] and bilingual files that repeat a timestamp for the translation
+ * (and once more for the romanization, as our export writes them).
+ */
+function parseLrcFile(text) {
+    const offsetMatch = text.match(/\[offset:\s*([+-]?\d+)\s*\]/i);
+    const offset = offsetMatch ? parseInt(offsetMatch[1]) / 1000 : 0;
+
+    const entries = [];
+    text.split(/\r?\n/).forEach(rawLine => {
+        const prefix = rawLine.match(/^\s*((?:\[\d+:\d+(?:[.:]\d+)?\])+)(.*)$/);
+        if (!prefix) return;
+
+        const body = prefix[2];
+        const times = [];
+        let match;
+        TIMESTAMP_REGEX.lastIndex = 0;
+        while ((match = TIMESTAMP_REGEX.exec(prefix[1])) !== null) {
+            times.push(Math.max(0, toSeconds(match[1], match[2], match[3]) - offset));
+        }
+
+        const enhanced = /<\d+:\d+(?:[.:]\d+)?>/.test(body);
+        times.forEach(time => {
+            const marks = enhanced
+                ? parseWordMarks(body, time + offset).map(m => ({ time: Math.max(0, m.time - offset), text: m.text }))
+                : null;
+            const lineText = marks ? marks.map(m => m.text).join('') : body;
+            entries.push({ time, text: lineText.trim(), marks });
+        });
+    });
+
+    // Stable sort keeps a translation right after the line it shares a timestamp with
+    entries.sort((a, b) => a.time - b.time);
+
+    const main = [];
+    const trans = [];
+    const roma = [];
+    entries.forEach(entry => {
+        const prev = main[main.length - 1];
+        if (prev && Math.abs(prev.time - entry.time) < 0.001 && prev.subCount < 2) {
+            prev.subCount++;
+            if (entry.text) (prev.subCount === 1 ? trans : roma).push(entry);
+            return;
+        }
+        entry.subCount = 0;
+        main.push(entry);
+    });
+
+    const lines = main.filter(e => e.text);
+    if (lines.length === 0) return null;
+
+    if (!lines.some(e => e.marks)) {
+        return { lyric: toLrc(lines), trans: toLrc(trans), roma: toLrc(roma) };
+    }
+
+    // Enhanced LRC -> QRC so words fill one by one
+    lines.forEach((entry, i) => {
+        const nextTime = i + 1 < lines.length ? lines[i + 1].time : null;
+        const marks = entry.marks || [{ time: entry.time, text: entry.text }];
+        entry.words = [];
+        marks.forEach((mark, j) => {
+            if (!mark.text) return;
+            const end = j + 1 < marks.length ? marks[j + 1].time : (nextTime ?? mark.time + LAST_LINE_SECONDS);
+            entry.words.push({ text: mark.text, start: mark.time, duration: Math.max(0, end - mark.time) });
+        });
+        const last = entry.words[entry.words.length - 1];
+        entry.duration = last ? last.start + last.duration - entry.time : 0;
+    });
+
+    return { lyric: toQrc(lines.filter(e => e.words.length > 0)), trans: toLrc(trans), roma: toLrc(roma) };
+}
+
+/**
+ * SRT / WebVTT. The first text line of a cue is the lyric, the second the translation,
+ * and any further lines the romanization.
+ */
+function parseSubtitleFile(text) {
+    const main = [];
+    const trans = [];
+    const roma = [];
+
+    text.split(/\r?\n\s*\r?\n/).forEach(block => {
+        const rows = block.split(/\r?\n/).map(r => r.trim()).filter(Boolean);
+        const timingIndex = rows.findIndex(r => r.includes('-->'));
+        if (timingIndex === -1) return;
+
+        const start = rows[timingIndex].match(/(?:(\d+):)?(\d+):(\d+)[,.](\d+)/);
+        if (!start) return;
+        const time = (start[1] ? parseInt(start[1]) * 3600 : 0) + toSeconds(start[2], start[3], start[4]);
+
+        const textRows = rows.slice(timingIndex + 1).map(r => r.replace(/<[^>]+>/g, '').trim()).filter(Boolean);
+        if (textRows.length === 0) return;
+
+        main.push({ time, text: textRows[0] });
+        if (textRows.length > 1) {
+            trans.push({ time, text: textRows[1] });
+        }
+        if (textRows.length > 2) {
+            roma.push({ time, text: textRows.slice(2).join(' ') });
+        }
+    });
+
+    if (main.length === 0) return null;
+    main.sort((a, b) => a.time - b.time);
+    trans.sort((a, b) => a.time - b.time);
+    roma.sort((a, b) => a.time - b.time);
+    return { lyric: toLrc(main), trans: toLrc(trans), roma: toLrc(roma) };
+}
+
+/**
+ * @param {string} name - File name, used for the extension
+ * @param {string} text - File contents
+ * @returns {Object} - { lyric, trans, roma }
+ * @throws {Error} - If no timed lines were found
+ */
+export function parseLyricFile(name, text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const ext = (name.split('.').pop() || '').toLowerCase();
+
+    let lyrics = null;
+    if (ext === 'srt' || ext === 'vtt' || /^[\d:,.]+\s*-->/m.test(content)) {
+        lyrics = parseSubtitleFile(content);
+    } else if (/LyricContent=/.test(content)) {
+        lyrics = { lyric: extractQrcContent(content), trans: '', roma: '' };
+    } else if (/^\s*\[\d+,\d+\]/m.test(content)) {
+        lyrics = { lyric: content, trans: '', roma: '' };
+    } else {
+        lyrics = parseLrcFile(content);
+    }
+
+    if (!lyrics || !lyrics.lyric.trim()) {
+        throw new Error('未找到带时间轴的歌词');
+    }
+    return lyrics;
+}
+
+export default { parseLyricFile, formatLrcTime, LYRIC_FILE_ACCEPT };
@@ -0,0 +1,111 @@
+/**
+ * Search Filter
+ * Narrows and orders song search results by what the song payload carries:
+ * duration, pay flags, the file sizes of each quality and version markers
+ * in the title. The search service has no such parameters, so every fetched
+ * page is run through here.
+ */
+
+import { SongFileType, QUALITY_LADDER } from '../api/song.js';
+
+// Live recordings and remixes, marked in the title or subtitle
+const VERSION_PATTERN = /\blive\b|\bremix\b|现场|演唱会|混音|dj版/i;
+
+export const DURATION_RANGES = {
+    any: { label: '不限时长', min: 0, max: 0 },
+    short: { label: '3 分钟以内', min: 0, max: 180 },
+    medium: { label: '3 - 5 分钟', min: 180, max: 300 },
+    long: { label: '5 分钟以上', min: 300, max: 0 }
+};
+
+export const QUALITY_FILTERS = {
+    any: { label: '不限音质', min: null },
+    MP3_320: { label: '320K 及以上', min: 'MP3_320' },
+    FLAC: { label: '无损 FLAC', min: 'FLAC' }
+};
+
+export const SEARCH_SORTS = {
+    relevance: '综合排序',
+    duration: '时长',
+    album: '专辑'
+};
+
+export const DEFAULT_SEARCH_FILTERS = {
+    duration: 'any',
+    quality: 'any',
+    freeOnly: false,
+    hideVersions: false,
+    sort: 'relevance'
+};
+
+/**
+ * Highest SongFileType key the song has a file for, or null if the payload has no sizes
+ * (the external fallback search omits them)
+ */
+export function songMaxQuality(song) {
+    const file = song.file || {};
+    return QUALITY_LADDER.find(key => Number(file[SongFileType[key].sizeField]) > 0) || null;
+}
+
+/**
+ * Playable without a VIP subscription or a per-track purchase
+ */
+export function isFreeToPlay(song) {
+    const pay = song.pay || {};
+    return !pay.pay_play && !(pay.price_track > 0);
+}
+
+export function isAlternateVersion(song) {
+    return VERSION_PATTERN.test(`${song.title || song.name || ''} ${song.subtitle || ''}`);
+}
+
+/**
+ * True when no filter would drop anything and results keep the service's order
+ */
+export function isDefaultFilters(filters) {
+    return Object.keys(DEFAULT_SEARCH_FILTERS).every(key => filters[key] === DEFAULT_SEARCH_FILTERS[key]);
+}
+
+/**
+ * @param {Object} song - Raw search result
+ * @param {Object} filters - Shaped like DEFAULT_SEARCH_FILTERS
+ */
+export function matchesFilters(song, filters) {
+    const range = DURATION_RANGES[filters.duration] || DURATION_RANGES.any;
+    const interval = song.interval || 0;
+    if (range.min && interval < range.min) return false;
+    if (range.max && interval > range.max) return false;
+
+    if (filters.freeOnly && !isFreeToPlay(song)) return false;
+    if (filters.hideVersions && isAlternateVersion(song)) return false;
+
+    const minQuality = QUALITY_FILTERS[filters.quality]?.min;
+    const best = minQuality ? songMaxQuality(song) : null;
+    // Unknown quality is kept rather than hiding every song
+    if (best && QUALITY_LADDER.indexOf(best) > QUALITY_LADDER.indexOf(minQuality)) return false;
+
+    return true;
+}
+
+/**
+ * Sorted copy; equal keys keep the service's order
+ * @param {Array} songs - Raw search results in relevance order
+ * @param {string} sort - Key of SEARCH_SORTS
+ */
+export function sortSongs(songs, sort) {
+    const ranked = songs.map((song, index) => ({ song, index }));
+    const compare = {
+        duration: (a, b) => (a.song.interval || 0) - (b.song.interval || 0),
+        album: (a, b) => (a.song.album?.name || '').localeCompare(b.song.album?.name || '', 'zh-CN')
+    }[sort];
+    if (!compare) return songs.slice();
+
+    return ranked
+        .sort((a, b) => compare(a, b) || a.index - b.index)
+        .map(entry => entry.song);
+}
+
+export default {
+    matchesFilters, sortSongs, songMaxQuality, isFreeToPlay, isAlternateVersion, isDefaultFilters,
+    DURATION_RANGES, QUALITY_FILTERS, SEARCH_SORTS, DEFAULT_SEARCH_FILTERS
+};
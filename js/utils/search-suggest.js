@@ -0,0 +1,220 @@
+/**
+ * Search Suggestions
+ * Debounced autocomplete dropdown under the search input, grouped into songs,
+ * singers, albums and MVs, with arrow-key navigation. Owns the dropdown DOM;
+ * the app supplies the lookup and what picking an item does.
+ */
+
+const DEBOUNCE_MS = 250;
+const MAX_PER_GROUP = 5;
+
+const GROUPS = [
+    { type: 'song', label: '单曲', icon: 'fa-music' },
+    { type: 'singer', label: '歌手', icon: 'fa-user' },
+    { type: 'album', label: '专辑', icon: 'fa-compact-disc' },
+    { type: 'mv', label: 'MV', icon: 'fa-film' }
+];
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
+export class SearchSuggest {
+    /**
+     * @param {HTMLInputElement} input
+     * @param {HTMLElement} container - Dropdown element
+     */
+    constructor(input, container) {
+        this.input = input;
+        this.container = container;
+        this.items = []; // Flat list in display order, for keyboard navigation
+        this.activeIndex = -1;
+        this.timer = null;
+        this.controller = null;
+        this.keyword = '';
+
+        // Set by the app
+        this.fetch = null; // (keyword, { signal }) => Promise<smartbox data>
+        this.onPick = null; // (item, { queue }) => void; item = { type, mid, id, name, singer }
+
+        this.initListeners();
+    }
+
+    get isOpen() {
+        return !this.container.hidden;
+    }
+
+    initListeners() {
+        this.input.addEventListener('input', () => this.schedule());
+        this.input.addEventListener('focus', () => {
+            if (this.items.length > 0 && this.input.value.trim() === this.keyword) this.open();
+        });
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+
+        // Picking with the mouse: mousedown keeps focus in the input
+        this.container.addEventListener('mousedown', (e) => e.preventDefault());
+        this.container.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-suggest]');
+            if (!row) return;
+            const queue = !!e.target.closest('.suggest-queue');
+            this.pick(parseInt(row.dataset.suggest), queue);
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!this.container.contains(e.target) && e.target !== this.input) this.close();
+        });
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        const keyword = this.input.value.trim();
+        if (!keyword) {
+            this.cancel();
+            this.clear();
+            return;
+        }
+        this.timer = setTimeout(() => this.lookup(keyword), DEBOUNCE_MS);
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
+    async lookup(keyword) {
+        if (!this.fetch) return;
+        this.cancel();
+        const controller = new AbortController();
+        this.controller = controller;
+
+        try {
+            const data = await this.fetch(keyword, { signal: controller.signal });
+            // A newer keystroke already took over
+            if (this.controller !== controller) return;
+            this.controller = null;
+            this.keyword = keyword;
+            this.render(data);
+        } catch (e) {
+            if (e.name !== 'AbortError') console.warn('Search suggestions failed:', e);
+        }
+    }
+
+    render(data) {
+        this.items = [];
+        this.activeIndex = -1;
+
+        const sections = GROUPS.map(group => {
+            const list = (data?.[group.type]?.itemlist || []).slice(0, MAX_PER_GROUP);
+            if (list.length === 0) return '';
+
+            const rows = list.map(entry => {
+                const index = this.items.length;
+                this.items.push({
+                    type: group.type,
+                    id: entry.id,
+                    mid: entry.mid,
+                    name: entry.name,
+                    singer: entry.singer || ''
+                });
+                const sub = group.type !== 'singer' && entry.singer
+                    ? `<span class="suggest-sub">${escapeHtml(entry.singer)}</span>`
+                    : '';
+                const queue = group.type === 'song'
+                    ? '<button class="suggest-queue" title="下一首播放（Shift+Enter）"><i class="fas fa-plus"></i></button>'
+                    : '';
+                return `
+                    <div class="suggest-item" data-suggest="${index}">
+                        <span class="suggest-name">${escapeHtml(entry.name)}</span>
+                        ${sub}
+                        ${queue}
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div class="suggest-group">
+                    <div class="suggest-group-title"><i class="fas ${group.icon}"></i>${group.label}</div>
+                    ${rows}
+                </div>
+            `;
+        }).join('');
+
+        this.container.innerHTML = sections;
+        if (this.items.length > 0 && document.activeElement === this.input) {
+            this.open();
+        } else {
+            this.close();
+        }
+    }
+
+    open() {
+        this.container.hidden = false;
+    }
+
+    close() {
+        this.container.hidden = true;
+        this.setActive(-1);
+    }
+
+    clear() {
+        this.items = [];
+        this.keyword = '';
+        this.container.innerHTML = '';
+        this.close();
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.container.querySelectorAll('[data-suggest]').forEach(row => {
+            const active = parseInt(row.dataset.suggest) === index;
+            row.classList.toggle('active', active);
+            if (active) row.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    pick(index, queue = false) {
+        const item = this.items[index];
+        if (!item) return;
+        this.close();
+        if (this.onPick) this.onPick(item, { queue });
+    }
+
+    handleKey(e) {
+        if (!this.isOpen || this.items.length === 0) {
+            // Enter runs a normal search; drop any lookup still in flight so the dropdown stays shut
+            if (e.key === 'Enter') this.cancel();
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive((this.activeIndex + 1) % this.items.length);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex <= 0 ? this.items.length - 1 : this.activeIndex - 1);
+                break;
+            case 'Enter':
+                if (this.activeIndex >= 0) {
+                    // Also keeps the keypress search from firing
+                    e.preventDefault();
+                    this.pick(this.activeIndex, e.shiftKey);
+                } else {
+                    this.cancel();
+                    this.close();
+                }
+                break;
+            case 'Escape':
+                this.close();
+                break;
+        }
+    }
+}
+
+export default { SearchSuggest };
@@ -0,0 +1,125 @@
+/**
+ * Shuffle Order
+ * Keeps a shuffled permutation of the queue (by mid) so every song plays once
+ * per cycle, plus a back-stack so "previous" returns to what actually played.
+ * Smart mode spreads songs by the same artist across the cycle.
+ */
+
+const MAX_HISTORY = 200;
+
+function fisherYates(arr) {
+    const a = [...arr];
+    for (let i = a.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+}
+
+/**
+ * First listed artist, used to group songs for smart shuffle
+ */
+function primaryArtist(song) {
+    const singers = song.singers || song.singer?.map(s => s.name).join('/') || song.singername || '';
+    return singers.split(/\s*[\/,、&]\s*/)[0].trim().toLowerCase();
+}
+
+/**
+ * Spread each artist's songs evenly: a group of n songs gets positions
+ * offset + i/n (plus jitter), then everything is sorted by position.
+ */
+function spreadByArtist(songs) {
+    const groups = new Map();
+    songs.forEach(song => {
+        const key = primaryArtist(song) || song.mid;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(song);
+    });
+
+    const placed = [];
+    groups.forEach(group => {
+        const n = group.length;
+        const offset = Math.random() / n;
+        fisherYates(group).forEach((song, i) => {
+            const jitter = (Math.random() - 0.5) * 0.2 / n;
+            placed.push({ song, pos: offset + i / n + jitter });
+        });
+    });
+
+    return placed.sort((a, b) => a.pos - b.pos).map(p => p.song);
+}
+
+export class ShuffleOrder {
+    constructor() {
+        this.smart = false;
+        this.upcoming = []; // mids still to play in this cycle, in order
+        this.played = new Set(); // mids already played in this cycle
+        this.history = []; // back-stack of mids
+    }
+
+    permute(songs) {
+        const ordered = this.smart ? spreadByArtist(songs) : fisherYates(songs);
+        return ordered.map(s => s.mid);
+    }
+
+    /**
+     * Start a fresh cycle: everything except the current song is up next
+     */
+    reset(queue, currentMid = null) {
+        this.played = new Set(currentMid ? [currentMid] : []);
+        this.upcoming = this.permute(queue.filter(s => s.mid !== currentMid));
+    }
+
+    /**
+     * Regenerate the permutation of unplayed songs after the queue changed
+     */
+    sync(queue, currentMid = null) {
+        const mids = new Set(queue.map(s => s.mid));
+        this.played = new Set([...this.played].filter(mid => mids.has(mid)));
+        this.history = this.history.filter(mid => mids.has(mid));
+
+        const remaining = queue.filter(s => s.mid !== currentMid && !this.played.has(s.mid));
+        this.upcoming = this.permute(remaining);
+    }
+
+    /**
+     * Next mid in the cycle; starts a new cycle once everything has played
+     */
+    peek(queue, currentMid = null) {
+        this.upcoming = this.upcoming.filter(mid => mid !== currentMid && queue.some(s => s.mid === mid));
+        if (this.upcoming.length === 0) {
+            this.reset(queue, currentMid);
+        }
+        return this.upcoming[0] ?? currentMid;
+    }
+
+    /**
+     * Record a transition (next, auto-advance or a manual pick)
+     */
+    visit(fromMid, toMid) {
+        if (fromMid && fromMid !== toMid) {
+            this.history.push(fromMid);
+            if (this.history.length > MAX_HISTORY) this.history.shift();
+        }
+        this.upcoming = this.upcoming.filter(mid => mid !== toMid);
+        this.played.add(toMid);
+    }
+
+    /**
+     * Step back to the previously played song.
+     * The current song goes back to the front of the cycle so "next" returns to it.
+     * @returns {string|null} - Previous mid, or null if there is no history
+     */
+    back(currentMid) {
+        const prevMid = this.history.pop();
+        if (!prevMid) return null;
+
+        if (currentMid) {
+            this.upcoming = [currentMid, ...this.upcoming.filter(mid => mid !== currentMid)];
+            this.played.delete(currentMid);
+        }
+        return prevMid;
+    }
+}
+
+export default { ShuffleOrder };
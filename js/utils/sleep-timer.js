@@ -0,0 +1,137 @@
+/**
+ * Sleep Timer
+ * Stops playback after a fixed time or after a number of tracks.
+ * Only tracks state and the countdown; the player applies the fade and pauses.
+ */
+
+export const SLEEP_FADE_SECONDS = 60;
+export const SLEEP_PRESETS = [15, 30, 45, 60, 90]; // Minutes
+
+const TICK_INTERVAL = 1000;
+
+export class SleepTimer {
+    constructor() {
+        this.mode = null; // 'duration' | 'tracks' | null
+        this.endsAt = 0; // Timestamp for duration mode
+        this.tracksLeft = 0; // Including the current track, for tracks mode
+        this.timer = null;
+
+        this.onTick = null;
+        this.onExpire = null;
+    }
+
+    get active() {
+        return this.mode !== null;
+    }
+
+    /**
+     * True when playback should stop once the current track ends
+     */
+    get stopsAfterCurrent() {
+        return this.mode === 'tracks' && this.tracksLeft <= 1;
+    }
+
+    /**
+     * @param {number} minutes
+     */
+    startDuration(minutes) {
+        this.mode = 'duration';
+        this.endsAt = Date.now() + minutes * 60 * 1000;
+        this.tracksLeft = 0;
+        this.startTicking();
+    }
+
+    /**
+     * @param {number} count - 1 = end of the current track
+     */
+    startTracks(count) {
+        this.mode = 'tracks';
+        this.tracksLeft = Math.max(1, Math.floor(count));
+        this.endsAt = 0;
+        this.startTicking();
+    }
+
+    cancel() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.mode = null;
+        this.endsAt = 0;
+        this.tracksLeft = 0;
+        if (this.onTick) this.onTick();
+    }
+
+    startTicking() {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+        this.tick();
+    }
+
+    tick() {
+        if (this.mode === 'duration' && Date.now() >= this.endsAt) {
+            this.expire();
+            return;
+        }
+        if (this.onTick) this.onTick();
+    }
+
+    expire() {
+        if (this.onExpire) this.onExpire();
+        this.cancel();
+    }
+
+    /**
+     * A different track started playing
+     */
+    trackAdvanced() {
+        if (this.mode === 'tracks' && this.tracksLeft > 1) {
+            this.tracksLeft--;
+            if (this.onTick) this.onTick();
+        }
+    }
+
+    /**
+     * Seconds until playback stops, or null while that is not known yet
+     * (more than one track left in tracks mode)
+     * @param {HTMLAudioElement} audio - Active deck
+     */
+    remaining(audio) {
+        if (this.mode === 'duration') {
+            return Math.max(0, (this.endsAt - Date.now()) / 1000);
+        }
+        if (this.stopsAfterCurrent && audio?.duration) {
+            // Wall-clock seconds, so divide by the playback speed
+            return Math.max(0, (audio.duration - audio.currentTime) / (audio.playbackRate || 1));
+        }
+        return null;
+    }
+
+    /**
+     * Gain for the fade-out over the final SLEEP_FADE_SECONDS (1 = untouched)
+     */
+    fadeLevel(audio) {
+        const remaining = this.remaining(audio);
+        if (remaining === null) return 1;
+        return Math.max(0, Math.min(1, remaining / SLEEP_FADE_SECONDS));
+    }
+
+    /**
+     * Countdown text, e.g. "24:59" or "3 首"
+     */
+    label(audio) {
+        if (!this.active) return '';
+
+        const remaining = this.remaining(audio);
+        if (remaining === null) {
+            return `${this.tracksLeft} 首`;
+        }
+
+        const total = Math.ceil(remaining);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        const mmss = `${m.toString().padStart(h ? 2 : 1, '0')}:${s.toString().padStart(2, '0')}`;
+        return h ? `${h}:${mmss}` : mmss;
+    }
+}
+
+export default { SleepTimer, SLEEP_PRESETS, SLEEP_FADE_SECONDS };
@@ -0,0 +1,189 @@
+/**
+ * Tab Coordinator
+ * Only one tab plays audio at a time. The tab that starts playback claims
+ * ownership; every other tab becomes a remote control that forwards commands
+ * over a BroadcastChannel and mirrors the owner's state.
+ */
+
+const CHANNEL_NAME = 'qqmusic_player';
+const HEARTBEAT_INTERVAL = 1000;
+const OWNER_TIMEOUT = 3500; // Owner is considered gone after this long without a heartbeat
+
+export class TabCoordinator {
+    constructor() {
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+        this.isOwner = false;
+        this.claimedAt = 0;
+        this.ownerId = null; // Another tab that owns audio
+        this.ownerSeenAt = 0;
+        this.ownerTimer = null;
+        this.heartbeat = null;
+
+        // Set by the player
+        this.getState = null; // () => state snapshot for remotes
+        this.onCommand = null; // (command, args) => void, on the owner
+        this.onState = null; // (state) => void, on remotes
+        this.onYield = null; // () => void, ownership moved to another tab
+        this.onHandover = null; // (state) => void, this tab took over playback
+        this.onRoleChange = null; // (isRemote) => void
+
+        if (this.channel) {
+            this.channel.onmessage = (e) => this.handleMessage(e.data);
+            window.addEventListener('pagehide', () => this.release());
+            this.post({ type: 'hello' });
+        }
+    }
+
+    /**
+     * True when another live tab owns audio output
+     */
+    get isRemote() {
+        return !this.isOwner && !!this.ownerId && Date.now() - this.ownerSeenAt < OWNER_TIMEOUT;
+    }
+
+    post(message) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({ ...message, from: this.id });
+        } catch (e) {
+            console.warn('TabCoordinator: failed to post message', e);
+        }
+    }
+
+    handleMessage(msg) {
+        if (!msg || msg.from === this.id) return;
+        if (msg.to && msg.to !== this.id) return;
+
+        const wasRemote = this.isRemote;
+
+        switch (msg.type) {
+            case 'hello':
+                if (this.isOwner) this.broadcastState();
+                break;
+            case 'claim':
+                // Newest claim wins
+                if (this.isOwner && msg.at >= this.claimedAt) {
+                    this.isOwner = false;
+                    this.stopHeartbeat();
+                    if (this.onYield) this.onYield();
+                }
+                this.touchOwner(msg.from);
+                break;
+            case 'state':
+                if (this.isOwner) break;
+                this.touchOwner(msg.from);
+                if (this.onState) this.onState(msg.state);
+                break;
+            case 'release':
+                if (this.ownerId === msg.from) {
+                    this.forgetOwner();
+                }
+                break;
+            case 'command':
+                if (this.isOwner && this.onCommand) {
+                    this.onCommand(msg.command, msg.args || []);
+                }
+                break;
+            case 'takeover':
+                if (this.isOwner) {
+                    const state = this.getState ? this.getState() : null;
+                    this.isOwner = false;
+                    this.stopHeartbeat();
+                    if (this.onYield) this.onYield();
+                    this.touchOwner(msg.from);
+                    this.post({ type: 'handover', to: msg.from, state });
+                }
+                break;
+            case 'handover':
+                this.forgetOwner();
+                this.claim();
+                if (this.onHandover) this.onHandover(msg.state);
+                break;
+        }
+
+        if (wasRemote !== this.isRemote && this.onRoleChange) {
+            this.onRoleChange(this.isRemote);
+        }
+    }
+
+    /**
+     * This tab started playing: become the owner
+     */
+    claim() {
+        if (this.isOwner) return;
+        const wasRemote = this.isRemote;
+
+        this.isOwner = true;
+        this.claimedAt = Date.now();
+        this.forgetOwner();
+        this.post({ type: 'claim', at: this.claimedAt });
+        this.startHeartbeat();
+
+        if (wasRemote && this.onRoleChange) this.onRoleChange(false);
+    }
+
+    /**
+     * Heard from the owning tab; forget it if it goes quiet (closed or crashed)
+     */
+    touchOwner(id) {
+        this.ownerId = id;
+        this.ownerSeenAt = Date.now();
+        clearTimeout(this.ownerTimer);
+        this.ownerTimer = setTimeout(() => {
+            this.forgetOwner();
+            if (this.onRoleChange) this.onRoleChange(false);
+        }, OWNER_TIMEOUT);
+    }
+
+    forgetOwner() {
+        clearTimeout(this.ownerTimer);
+        this.ownerTimer = null;
+        this.ownerId = null;
+    }
+
+    release() {
+        if (!this.isOwner) return;
+        this.isOwner = false;
+        this.stopHeartbeat();
+        this.post({ type: 'release' });
+    }
+
+    /**
+     * Ask the owner to hand playback over to this tab
+     */
+    takeOver() {
+        if (!this.isRemote) return false;
+        this.post({ type: 'takeover', to: this.ownerId });
+        return true;
+    }
+
+    /**
+     * Forward a player command to the owner
+     * @returns {boolean} - False if there is no remote owner (run it locally instead)
+     */
+    send(command, ...args) {
+        if (!this.isRemote) return false;
+        this.post({ type: 'command', to: this.ownerId, command, args });
+        return true;
+    }
+
+    broadcastState() {
+        if (!this.isOwner || !this.getState) return;
+        this.post({ type: 'state', state: this.getState() });
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.broadcastState();
+        this.heartbeat = setInterval(() => this.broadcastState(), HEARTBEAT_INTERVAL);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
+
+export default { TabCoordinator };
@@ -16,6 +16,14 @@ export class Waveform {
         this.progress = 0; // 0.0 - 1.0
         this.duration = 0;
 
+        this.loopStart = null; // A-B loop markers (0.0 - 1.0), null when unset
+        this.loopEnd = null;
+        this.onLoopPoint = null; // (percent) => void, Shift+click
+
+        this.markers = []; // Draggable time markers (0.0 - 1.0), e.g. lyric line starts
+        this.selectedMarker = -1;
+        this.onMarkerMove = null; // (index, percent) => void
+
         this.colorActiveStart = '#1db954'; // Accent color top
         this.colorActiveEnd = 'rgba(29, 185, 84, 0.1)'; // Accent color bottom
         this.colorPassive = 'rgba(255, 255, 255, 0.1)';
@@ -27,6 +35,7 @@ export class Waveform {
         this.audioContext = null;
         this.currentUrl = null;
         this.isGenerating = false;
+        this.onBufferDecoded = null; // (audioBuffer, id) => void
 
         this.initListners();
         this.resize();
@@ -77,11 +86,26 @@ export class Waveform {
 
         // Click to seek
         if (this.container) {
+            let draggingMarker = -1;
+            let markerMoved = false;
+
             this.container.onclick = (e) => {
+                // A marker drag ends with a click; don't seek
+                if (markerMoved) {
+                    markerMoved = false;
+                    return;
+                }
+
                 const rect = this.container.getBoundingClientRect();
                 const x = e.clientX - rect.left;
                 const percent = Math.max(0, Math.min(1, x / rect.width));
 
+                // Shift+click places A-B loop markers instead of seeking
+                if (e.shiftKey && this.onLoopPoint) {
+                    this.onLoopPoint(percent);
+                    return;
+                }
+
                 if (this.onSeek) {
                     this.onSeek(percent);
                 }
@@ -90,15 +114,29 @@ export class Waveform {
             // Drag support
             let isDragging = false;
 
-            this.container.onmousedown = () => isDragging = true;
-            document.onmouseup = () => isDragging = false;
+            this.container.onmousedown = (e) => {
+                draggingMarker = e.shiftKey ? -1 : this.markerAt(e.clientX);
+                markerMoved = false;
+                isDragging = !e.shiftKey && draggingMarker === -1;
+            };
+            document.onmouseup = () => {
+                isDragging = false;
+                draggingMarker = -1;
+            };
 
             this.container.onmousemove = (e) => {
-                if (!isDragging) return;
                 const rect = this.container.getBoundingClientRect();
                 const x = e.clientX - rect.left;
                 const percent = Math.max(0, Math.min(1, x / rect.width));
 
+                if (draggingMarker !== -1) {
+                    markerMoved = true;
+                    if (this.onMarkerMove) this.onMarkerMove(draggingMarker, percent);
+                    return;
+                }
+                this.container.style.cursor = this.markerAt(e.clientX) !== -1 ? 'ew-resize' : '';
+                if (!isDragging) return;
+
                 if (this.onSeek) {
                     this.onSeek(percent);
                 }
@@ -215,10 +253,26 @@ export class Waveform {
         try {
             console.log('Waveform: Attempting to fetch real audio data...');
             // Check if we can fetch (simple head request check skipped, try direct)
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const arrayBuffer = await response.arrayBuffer();
+
+            if (!this.audioContext) {
+                const Ctx = window.AudioContext || window.webkitAudioContext;
+                this.audioContext = new Ctx();
+            }
             const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+
+            // Song changed while downloading
+            if (this.currentUrl !== url) return;
+
             this.targetData = this.processAudioBuffer(audioBuffer);
             console.log('Waveform: Real audio data loaded.');
 
+            if (this.onBufferDecoded) {
+                this.onBufferDecoded(audioBuffer, id);
+            }
+
         } catch (e) {
             console.warn('Waveform: Failed to load real audio (likely CORS or Network), using fallback.');
             // 2. Fallback: Generate pseudo-waveform based on ID
@@ -334,6 +388,80 @@ export class Waveform {
         // render handled by loop
     }
 
+    /**
+     * Set A-B loop markers
+     * @param {number|null} start - 0.0 - 1.0
+     * @param {number|null} end - 0.0 - 1.0
+     */
+    setLoop(start, end) {
+        this.loopStart = start;
+        this.loopEnd = end;
+    }
+
+    /**
+     * Set draggable markers
+     * @param {number[]} markers - 0.0 - 1.0
+     * @param {number} selected - Index to highlight, -1 for none
+     */
+    setMarkers(markers, selected = -1) {
+        this.markers = markers;
+        this.selectedMarker = selected;
+    }
+
+    /**
+     * Index of the marker under a client x position, or -1
+     */
+    markerAt(clientX) {
+        if (this.markers.length === 0 || !this.container) return -1;
+        const rect = this.container.getBoundingClientRect();
+        const x = clientX - rect.left;
+
+        let best = -1;
+        let bestDist = 5; // px
+        this.markers.forEach((m, i) => {
+            const dist = Math.abs(m * rect.width - x);
+            if (dist <= bestDist) {
+                best = i;
+                bestDist = dist;
+            }
+        });
+        return best;
+    }
+
+    renderMarkers() {
+        if (this.markers.length === 0) return;
+
+        const ctx = this.ctx;
+        this.markers.forEach((m, i) => {
+            const selected = i === this.selectedMarker;
+            ctx.fillStyle = selected ? this.colorActiveStart : 'rgba(255, 255, 255, 0.35)';
+            ctx.fillRect(this.width * m - (selected ? 1 : 0.5), 0, selected ? 2 : 1, this.height);
+        });
+    }
+
+    renderLoop() {
+        if (this.loopStart === null) return;
+
+        const ctx = this.ctx;
+        const xA = this.width * this.loopStart;
+        const xB = this.loopEnd !== null ? this.width * this.loopEnd : null;
+
+        if (xB !== null) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.fillRect(xA, 0, xB - xA, this.height);
+        }
+
+        ctx.fillStyle = this.colorActiveStart;
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textBaseline = 'top';
+
+        [[xA, 'A'], [xB, 'B']].forEach(([x, label]) => {
+            if (x === null) return;
+            ctx.fillRect(x - 1, 0, 2, this.height);
+            ctx.fillText(label, label === 'A' ? x + 3 : x - 10, 2);
+        });
+    }
+
     render() {
         if (!this.ctx || !this.width || !this.height) return;
 
@@ -432,6 +560,9 @@ export class Waveform {
 
         this.ctx.restore();
 
+        this.renderLoop();
+        this.renderMarkers();
+
         this.ctx.globalAlpha = 1;
     }
 }